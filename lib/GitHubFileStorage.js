@@ -1,64 +1,588 @@
 const axios = require('axios');
 const archiver = require('archiver');
+const crypto = require('crypto');
+const jsdiff = require('diff');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const lfs = require('./lfs');
+const encryption = require('./encryption');
+const { gitBlobSha, hashFile, createIgnoreFilter, listLocalFiles } = require('./sync');
+const { createAppTokenProvider } = require('./auth');
+const { ARCHIVE_FORMATS, stripSlashes, matchesFilters, readStream, toBase64, expectedShaOf, assertSha } = require('./helpers');
+const bulk = require('./bulk');
+const { version } = require('../package.json');
+const { DEFAULT_RETRY, parseRateLimit, getRetryDelay } = require('./retry');
+const { DEFAULT_MAX_CONTENT_SIZE, createMemoryCache, isCacheable, cacheKey } = require('./cache');
+const {
+    GitHubFileStorageError,
+    NotFoundError,
+    ConflictError,
+    AuthError,
+    RateLimitError,
+    ValidationError,
+    DecryptionError,
+    toStorageError
+} = require('./errors');
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * Removes trailing slashes from a URL.
+ * @param {string} url - The URL to clean.
+ * @returns {string} The URL without trailing slashes.
+ */
+function stripTrailingSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Derives the web root of a GitHub instance from its API root.
+ * @param {string} baseUrl - The API root, e.g. 'https://api.github.com' or 'https://github.example.com/api/v3'.
+ * @returns {string} The web root, e.g. 'https://github.com' or 'https://github.example.com'.
+ */
+function webUrlFor(baseUrl) {
+    if (baseUrl === 'https://api.github.com') return 'https://github.com';
+    return baseUrl.replace(/\/api\/v3$/, '');
+}
+
+/**
+ * Lists the origins of GitHub's own hosts: the API, the web host, the raw file host and the LFS batch endpoint.
+ * @param {string} baseUrl - The API root.
+ * @param {string} lfsUrl - The Git LFS batch endpoint.
+ * @returns {Set<string>} The origins, e.g. 'https://api.github.com'.
+ */
+function githubOriginsFor(baseUrl, lfsUrl) {
+    const web = webUrlFor(baseUrl);
+    const urls = [baseUrl, web, lfsUrl];
+    if (web === 'https://github.com') urls.push('https://raw.githubusercontent.com');
+
+    return new Set(urls.map(url => new URL(url).origin));
+}
+
+/**
+ * Waits for the given time.
+ * @param {number} ms - The time to wait in milliseconds.
+ * @returns {Promise<void>} Resolves once the time has passed.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The per-call options that shape a commit, passed on when one write method calls another
+const COMMIT_OPTIONS = ['message', 'author', 'committer', 'coAuthors', 'signOff', 'onCommit'];
+
+/**
+ * Picks the commit options from a method's options.
+ * @param {Object} options - The method's options.
+ * @returns {Object} The options from COMMIT_OPTIONS that are set.
+ */
+function commitOptionsOf(options) {
+    return Object.fromEntries(COMMIT_OPTIONS.filter(name => options[name] !== undefined).map(name => [name, options[name]]));
+}
+
+/**
+ * Reads a commit author, committer or co-author.
+ * @param {Object|string} person - `{ name, email }` with an optional `date`, or 'Name <email>'.
+ * @param {string} role - The person's role, used in the error message.
+ * @returns {Object} The `name`, `email` and, if given, the `date` as an ISO 8601 string.
+ * @throws {ValidationError} If the name or email is missing.
+ */
+function toPerson(person, role) {
+    let value = person;
+    if (typeof person === 'string') {
+        const match = person.match(/^\s*(.+?)\s*<([^<>\s]+)>\s*$/);
+        value = match ? { name: match[1], email: match[2] } : {};
+    }
+
+    if (!value || !value.name || !value.email) {
+        throw new ValidationError(`The commit ${role} needs a name and an email, e.g. 'Jane Doe <jane@example.com>'`);
+    }
+
+    const result = { name: value.name, email: value.email };
+    if (value.date) result.date = new Date(value.date).toISOString();
+    return result;
+}
+
+/**
+ * Normalizes a repository path to the form used as a key in the filename map.
+ * @param {string} value - The path.
+ * @returns {string} The path without surrounding or repeated slashes.
+ */
+function normalizePath(value) {
+    return stripSlashes(value).replace(/\/{2,}/g, '/');
+}
 
 /**
  * GitHubFileStorage class provides methods to interact with a GitHub repository for file storage.
+ * It emits 'rateLimit' with the latest quota after each GitHub API response, 'retry' before a failed request is retried,
+ * and 'commit' after each commit it makes.
  */
-class GitHubFileStorage {
+class GitHubFileStorage extends EventEmitter {
     /**
      * Creates an instance of GitHubFileStorage.
      * @param {string} repo - The GitHub repository in the format 'owner/repo'.
-     * @param {string} token - The GitHub personal access token.
-     * @throws {Error} If the repository or token is not provided.
+     * @param {string|Function|Object} token - How to authenticate: a personal access token; an async function
+     *   returning a token (called before each request, with `{ refresh: true }` after a 401); or GitHub App
+     *   settings `{ appId, privateKey, installationId }`, where `installationId` is looked up from the repository if omitted.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.branch] - The branch used when a call does not name one (defaults to the repository's default branch).
+     * @param {number} [options.largeFileThreshold=1048576] - Size in bytes above which uploads go through the Git Blobs API instead of the Contents API.
+     * @param {boolean} [options.lfs=false] - Whether to store files above `lfsThreshold` in Git LFS and resolve LFS pointers on read.
+     * @param {number} [options.lfsThreshold=104857600] - Size in bytes above which files are stored in Git LFS (GitHub rejects regular files over 100 MB).
+     * @param {Object} [options.retry] - Retry settings: `retries` (default 3), `minDelay` and `maxDelay` in ms (default 1000 and 60000), and backoff `factor` (default 2).
+     * @param {boolean} [options.errorIfExists=false] - Default for `upload`'s `errorIfExists` option.
+     * @param {string} [options.baseUrl='https://api.github.com'] - The API root, e.g. 'https://github.example.com/api/v3' for GitHub Enterprise Server.
+     * @param {string} [options.lfsUrl] - The Git LFS batch endpoint (derived from `baseUrl` by default).
+     * @param {Object} [options.axios] - The axios instance to send requests with (defaults to the global axios).
+     * @param {Function} [options.adapter] - An axios adapter, e.g. to answer requests from a local stand-in.
+     * @param {Object} [options.headers] - Extra headers sent with every request to GitHub's hosts (including GitHub App token
+     *   requests), but not to third-party URLs such as LFS storage.
+     * @param {number} [options.timeout] - Request timeout in milliseconds (no timeout by default).
+     * @param {string} [options.userAgent] - The User-Agent header (defaults to 'github-file-manager/<version>').
+     * @param {boolean|Object} [options.cache] - Cache GET responses and revalidate them with ETags: true for an in-memory
+     *   LRU cache, `{ maxEntries }` to size it (default 500), or a store with `get`, `set`, `delete` and `keys` (which may return promises).
+     *   File and blob answers whose base64 content is longer than `maxContentSize` (default 1 MB) are never cached;
+     *   set it on the options object or on a custom store.
+     * @param {Object} [options.encryption] - Encrypt uploads with AES-256-GCM and decrypt them when reading.
+     * @param {Buffer|string} [options.encryption.key] - A 32-byte key, as a Buffer or a hex or base64 string.
+     * @param {Object} [options.encryption.keys] - Keys by key ID, so content encrypted with an older key stays readable.
+     * @param {Function} [options.encryption.keyProvider] - Called with a key ID, returns (or resolves to) the key.
+     * @param {string} [options.encryption.keyId='default'] - The ID of the key new content is encrypted with.
+     * @param {boolean} [options.encryption.filenames=false] - Store files under random names, kept in an encrypted map.
+     * @param {string} [options.encryption.mappingFile='.ghfm-names'] - The repository path of the filename map.
+     * @param {string|Function} [options.commitMessage] - The default commit message, or a function called with `{ operation, path, paths, branch, message }`
+     *   (where `message` is the built-in message) that returns it. A `message` passed to a write method takes precedence.
+     * @param {Object|string} [options.author] - The default commit author, as `{ name, email }` or 'Name <email>' (the token owner by default).
+     * @param {Object|string} [options.committer] - The default committer, in the same format (the token owner by default).
+     * @param {Array<Object|string>} [options.coAuthors] - People added to every commit message as `Co-authored-by` trailers.
+     * @param {boolean} [options.signOff=false] - Whether to add a `Signed-off-by` trailer for the committer, or else the author.
+     * @param {Function} [options.onCommit] - Called with `{ sha, operation, branch, message, paths }` after each commit; same as listening to 'commit'.
+     * @throws {ValidationError} If the repository or token is not provided, the GitHub App settings are incomplete,
+     *   no encryption key is given, or a commit author, committer or co-author misses a name or email.
      */
-    constructor(repo, token) {
+    constructor(repo, token, options = {}) {
+        super();
+
         if (!repo || !token) {
-            throw new Error('Repository and Token are required!');
+            throw new ValidationError('Repository and Token are required!');
         }
 
         this.repo = repo;
-        this.token = token;
-        this.apiUrl = `https://api.github.com/repos/${repo}/contents`;
+        this.branch = options.branch || null;
+        this.retry = { ...DEFAULT_RETRY, ...options.retry };
+        this.errorIfExists = Boolean(options.errorIfExists);
+        this.rateLimit = null; // Latest quota reported by GitHub
+        this.baseUrl = stripTrailingSlash(options.baseUrl || 'https://api.github.com');
+        this.repoUrl = `${this.baseUrl}/repos/${repo}`;
+        this.apiUrl = `${this.repoUrl}/contents`;
+        this.lfsUrl = options.lfsUrl || `${webUrlFor(this.baseUrl)}/${repo}.git/info/lfs/objects/batch`;
+        this.githubOrigins = githubOriginsFor(this.baseUrl, this.lfsUrl);
+        this.http = options.axios || axios;
+        this.adapter = options.adapter || null;
+        this.headers = { ...options.headers };
+        this.timeout = options.timeout || 0;
+        this.userAgent = options.userAgent || `github-file-manager/${version}`;
+        this.largeFileThreshold = options.largeFileThreshold || 1024 * 1024;
+        this.lfs = Boolean(options.lfs);
+        this.lfsThreshold = options.lfsThreshold || 100 * 1024 * 1024;
+        this.encryption = options.encryption ? encryption.createEncryption(options.encryption) : null;
+
+        // Commit defaults; people are checked now so a typo fails at startup rather than on the first write
+        this.commitMessage = options.commitMessage;
+        this.author = options.author ? toPerson(options.author, 'author') : null;
+        this.committer = options.committer ? toPerson(options.committer, 'committer') : null;
+        this.coAuthors = (options.coAuthors || []).map(person => toPerson(person, 'co-author'));
+        this.signOff = Boolean(options.signOff);
+        if (options.onCommit) this.on('commit', options.onCommit);
+        this.cacheStats = { hits: 0, misses: 0 };
+
+        if (!options.cache) {
+            this.cache = null;
+        } else if (typeof options.cache.get === 'function') {
+            this.cache = options.cache;
+        } else {
+            this.cache = createMemoryCache(typeof options.cache === 'object' ? options.cache : {});
+        }
+        this.cacheMaxContentSize = (options.cache && options.cache.maxContentSize) || DEFAULT_MAX_CONTENT_SIZE;
+
+        if (typeof token === 'function') {
+            this.token = null;
+            this.tokenProvider = token;
+        } else if (typeof token === 'object') {
+            if (!token.appId || !token.privateKey) {
+                throw new ValidationError('GitHub App authentication requires appId and privateKey!');
+            }
+
+            this.token = null;
+            this.tokenProvider = createAppTokenProvider(token, {
+                baseUrl: this.baseUrl,
+                repo,
+                request: config => this._request(config, { authenticate: false })
+            });
+        } else {
+            this.token = token;
+            this.tokenProvider = null;
+        }
+    }
+
+    /**
+     * Gets the token to authenticate a request with.
+     * @param {Object} [options={}] - Passed to the token provider.
+     * @param {boolean} [options.refresh=false] - Whether a cached token was rejected and a new one is needed.
+     * @returns {Promise<string>} The token.
+     * @private
+     */
+    async _getToken(options = {}) {
+        if (!this.tokenProvider) return this.token;
+
+        const token = await this.tokenProvider(options);
+        if (!token) {
+            throw new AuthError('The token provider did not return a token');
+        }
+        return token;
+    }
+
+    /**
+     * Tells whether a URL points to one of GitHub's own hosts rather than a third party such as LFS storage.
+     * @param {string} url - The absolute URL.
+     * @returns {boolean} Whether the URL is on a GitHub host.
+     * @private
+     */
+    _isGitHubUrl(url) {
+        try {
+            return this.githubOrigins.has(new URL(url).origin);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Sends an HTTP request, retrying network errors, server errors and rate limits with exponential backoff.
+     * Waits follow GitHub's `Retry-After` and `X-RateLimit-Reset` headers when present.
+     * @param {Object} config - The axios request config.
+     * @param {Object} [settings={}] - Request layer settings.
+     * @param {boolean|string} [settings.authenticate=true] - How to send the GitHub token: true for a bearer token,
+     *   'basic' for basic auth (used by the LFS server), or false for third-party URLs such as LFS storage.
+     * @returns {Promise<Object>} The axios response.
+     * @private
+     */
+    async _request(config, { authenticate = true } = {}) {
+        let refresh = false;
+        let refreshed = false;
+
+        // Only JSON answers from GitHub are cached; streams and binary downloads are not
+        const method = (config.method || 'get').toLowerCase();
+        const key = this.cache && authenticate === true && method === 'get' && (!config.responseType || config.responseType === 'json')
+            ? cacheKey(config)
+            : null;
+        const cached = key ? await this.cache.get(key) : undefined;
+
+        for (let attempt = 0; ;) {
+            const request = {
+                timeout: this.timeout,
+                ...config,
+                // Custom headers are only meant for GitHub, not third-party URLs such as LFS storage
+                headers: { 'User-Agent': this.userAgent, ...(this._isGitHubUrl(config.url) ? this.headers : {}), ...config.headers }
+            };
+            if (this.adapter) request.adapter = this.adapter;
+            if (cached) request.headers['If-None-Match'] = cached.etag;
+
+            if (authenticate) {
+                const token = await this._getToken({ refresh });
+                if (authenticate === 'basic') {
+                    request.auth = { username: 'x-access-token', password: token };
+                } else {
+                    request.headers.Authorization = `Bearer ${token}`;
+                }
+                refresh = false;
+            }
+
+            try {
+                const response = await this.http.request(request);
+                this._trackRateLimit(response);
+                return key ? await this._useCache(key, cached, response) : response;
+            } catch (error) {
+                if (error.response) this._trackRateLimit(error.response);
+
+                // axios rejects 304 by default: it means the cached copy is still current
+                if (cached && error.response && error.response.status === 304) {
+                    return this._useCache(key, cached, error.response);
+                }
+
+                // The token may have expired or been revoked: ask the provider for a fresh one, once
+                if (authenticate && this.tokenProvider && !refreshed && error.response && error.response.status === 401) {
+                    refresh = refreshed = true;
+                    continue;
+                }
+
+                const delay = getRetryDelay(error, attempt, this.retry);
+                if (delay === null) throw error;
+
+                this.emit('retry', {
+                    attempt: attempt + 1,
+                    delay,
+                    status: error.response ? error.response.status : null,
+                    url: config.url,
+                    error
+                });
+                attempt++;
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Records the rate-limit headers of a response and emits them as a 'rateLimit' event.
+     * @param {Object} response - The axios response.
+     * @private
+     */
+    _trackRateLimit(response) {
+        const rateLimit = parseRateLimit(response.headers);
+        if (!rateLimit) return;
+
+        this.rateLimit = rateLimit;
+        this.emit('rateLimit', rateLimit);
+    }
+
+    /**
+     * Answers a cacheable request from the cache after a 304, or stores a fresh answer.
+     * @param {string} key - The cache key.
+     * @param {Object} [cached] - The cached entry sent for revalidation, if any.
+     * @param {Object} response - GitHub's response.
+     * @returns {Promise<Object>} The response to use.
+     * @private
+     */
+    async _useCache(key, cached, response) {
+        if (cached && response.status === 304) {
+            this.cacheStats.hits++;
+            return { ...response, status: 200, data: cached.data, fromCache: true };
+        }
+
+        this.cacheStats.misses++;
+        const etag = response.headers && response.headers.etag;
+        if (etag && isCacheable(response.data, this.cacheMaxContentSize)) {
+            await this.cache.set(key, { etag, data: response.data });
+        }
+        return response;
+    }
+
+    /**
+     * Drops the cached answers a write makes outdated: the written paths, their parent folders,
+     * and branch and commit lookups. Revalidation would catch these too, but this spares a request.
+     * Blobs and trees looked up by SHA never go stale and are kept; the root tree is looked up by branch name, so it is not.
+     * @param {Array<string>} paths - The repository paths that were written or deleted.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _invalidateCache(paths) {
+        if (!this.cache) return;
+
+        const contentUrls = new Set([this.apiUrl]);
+        for (const filePath of paths) {
+            const parts = stripSlashes(filePath).split('/').filter(Boolean);
+            for (let depth = 1; depth <= parts.length; depth++) {
+                contentUrls.add(`${this.apiUrl}/${parts.slice(0, depth).join('/')}`);
+            }
+        }
+
+        const immutable = keyUrl => [`${this.repoUrl}/git/blobs/`, `${this.repoUrl}/git/trees/`]
+            .some(prefix => keyUrl.startsWith(prefix) && /^[0-9a-f]{40}$/i.test(keyUrl.slice(prefix.length)));
+        for (const key of await this.cache.keys()) {
+            const keyUrl = key.slice(0, key.indexOf('?'));
+            const outdated = contentUrls.has(keyUrl)
+                || (keyUrl.startsWith(`${this.repoUrl}/`) && !keyUrl.startsWith(`${this.apiUrl}/`) && !immutable(keyUrl));
+            if (outdated) await this.cache.delete(key);
+        }
+    }
+
+    /**
+     * Gets the response cache statistics.
+     * @returns {Object} The number of `hits` (answered from the cache after a 304), `misses` (fetched in full), and the `hitRate` between 0 and 1.
+     */
+    getCacheStats() {
+        const { hits, misses } = this.cacheStats;
+        return { hits, misses, hitRate: hits + misses ? hits / (hits + misses) : 0 };
+    }
+
+    /**
+     * Empties the response cache and resets its statistics.
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        this.cacheStats = { hits: 0, misses: 0 };
+        if (!this.cache) return;
+
+        for (const key of await this.cache.keys()) {
+            await this.cache.delete(key);
+        }
+    }
+
+    /**
+     * Gets the current API quota. This call does not count against the rate limit.
+     * @returns {Promise<Object>} The core quota as `rateLimit`, plus every quota GitHub reports as `resources`.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the rate limit.
+     */
+    async getRateLimit() {
+        try {
+            const response = await this._request({
+                method: 'get',
+                url: `${this.baseUrl}/rate_limit`
+            });
+            const core = response.data.resources.core;
+
+            return {
+                message: 'Rate limit retrieved successfully!',
+                rateLimit: {
+                    limit: core.limit,
+                    remaining: core.remaining,
+                    used: core.used,
+                    reset: new Date(core.reset * 1000)
+                },
+                resources: response.data.resources
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving rate limit');
+        }
+    }
+
+    /**
+     * Resolves the branch (or other ref) a call should operate on.
+     * @param {Object} [options={}] - The per-call options.
+     * @returns {string|undefined} The ref to use, or undefined for the repository's default branch.
+     * @private
+     */
+    _resolveRef(options = {}) {
+        return options.ref || options.branch || this.branch || undefined;
+    }
+
+    /**
+     * Builds a commit message: the per-call `message`, else the `commitMessage` default, else the built-in message,
+     * followed by the co-author and sign-off trailers.
+     * @param {Object} context - What is committed: the `operation`, the `path` for single-file operations, the `paths`,
+     *   the `branch` and the built-in `message`. Passed to template functions.
+     * @param {Object} [options={}] - The per-call options, which take precedence over the constructor's.
+     * @returns {string} The commit message.
+     * @throws {ValidationError} If the message is empty, a co-author is invalid, or signing off without an author or committer.
+     * @private
+     */
+    _commitMessage(context, options = {}) {
+        const template = options.message !== undefined ? options.message : this.commitMessage;
+        const message = typeof template === 'function' ? template(context) : template || context.message;
+        if (typeof message !== 'string' || !message.trim()) {
+            throw new ValidationError('Commit message must be a non-empty string!');
+        }
+
+        const coAuthors = options.coAuthors ? options.coAuthors.map(person => toPerson(person, 'co-author')) : this.coAuthors;
+        const trailers = coAuthors.map(person => `Co-authored-by: ${person.name} <${person.email}>`);
+
+        if (options.signOff !== undefined ? options.signOff : this.signOff) {
+            // Like `git commit --signoff`, the committer signs off, or the author when no committer is set
+            const { author, committer } = this._commitIdentity(options);
+            const signer = committer || author;
+            if (!signer) {
+                throw new ValidationError('Signing off requires an author or committer!');
+            }
+            trailers.push(`Signed-off-by: ${signer.name} <${signer.email}>`);
+        }
+
+        return trailers.length > 0 ? `${message.trimEnd()}\n\n${trailers.join('\n')}` : message;
+    }
+
+    /**
+     * Gets the author and committer of a commit, as the GitHub API takes them.
+     * @param {Object} [options={}] - The per-call options, which take precedence over the constructor's.
+     * @returns {Object} The `author` and `committer` that are set; GitHub uses the token owner for the others.
+     * @throws {ValidationError} If a person misses a name or email.
+     * @private
+     */
+    _commitIdentity(options = {}) {
+        const identity = {};
+        const author = options.author ? toPerson(options.author, 'author') : this.author;
+        const committer = options.committer ? toPerson(options.committer, 'committer') : this.committer;
+
+        if (author) identity.author = author;
+        if (committer) identity.committer = committer;
+        return identity;
+    }
+
+    /**
+     * Reports a new commit through the 'commit' event and the per-call `onCommit` callback.
+     * @param {Object} commit - The commit `sha`, `operation`, `branch`, `message` and the `paths` it changed.
+     * @param {Object} [options={}] - The per-call options.
+     * @private
+     */
+    _reportCommit(commit, options = {}) {
+        const details = { ...commit, branch: commit.branch || null };
+        this.emit('commit', details);
+        if (options.onCommit) options.onCommit(details);
     }
 
     /**
      * Uploads or updates a file in the GitHub repository.
-     * @param {string} file - The file content in base64 format.
+     * Local files are only read when passed as `{ path }`, so a string is never mistaken for a path on this machine.
+     * @param {string|Buffer|Readable|Object} file - The file content as a base64 string or data URI, a Buffer, a readable stream, or `{ path }` naming a local file.
      * @param {string} [filepath=''] - The path where the file should be stored.
      * @param {string} [filename='uploaded_file'] - The name of the file.
      * @param {boolean} [overwrite=true] - Whether to overwrite the file if it already exists.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.branch] - The branch to commit to (alias: `ref`).
+     * @param {boolean} [options.errorIfExists] - Throw a ConflictError instead of returning 'File already exists!' when the file exists and `overwrite` is false.
+     * @param {string|null} [options.expectedSha] - Only write if the file's current blob SHA is this one, or if it does not exist yet when null (alias: `ifMatch`).
+     * @param {string|Function} [options.message] - The commit message, or a template function (see the `commitMessage` constructor option).
+     * @param {Object|string} [options.author] - The commit author; `committer`, `coAuthors`, `signOff` and `onCommit` can be set per call too.
      * @returns {Promise<Object>} The result of the upload operation.
-     * @throws {Error} If the file is not provided or there is an error during the upload.
+     * @throws {ValidationError} If the file is not provided.
+     * @throws {ConflictError} If the file exists, `overwrite` is false and `errorIfExists` is set, or the file does not match `expectedSha`.
+     * @throws {GitHubFileStorageError} If there is an error during the upload.
      */
-    async upload(file, filepath = '', filename = 'uploaded_file.txt', overwrite = true) {
-        if (!file) throw new Error('File is required');
+    async upload(file, filepath = '', filename = 'uploaded_file.txt', overwrite = true, options = {}) {
+        if (!file) throw new ValidationError('File is required');
 
-        // Clean up base64 string if it's passed in a 'data URI' format
-        let fileContent = file;
-        if (fileContent.startsWith('data:')) {
-            const base64Index = fileContent.indexOf('base64,') + 'base64,'.length;
-            fileContent = fileContent.slice(base64Index); // Strip metadata to get only the base64 string
-        }
+        let fileContent = await toBase64(file);
 
         const finalFilename = filename;  // Use provided filename (defaults to 'uploaded_file' if not provided)
         const finalFilepath = filepath || '';  // Use provided filepath (defaults to root directory if not provided)
+        const branch = this._resolveRef(options);
+        const targetPath = stripSlashes(`${finalFilepath}/${finalFilename}`);
 
+        let names = null;
+        let storedPath = `${finalFilepath}/${finalFilename}`;
         let sha = null;
         try {
+            // With encrypted filenames, a file keeps the random name it got on its first upload
+            names = await this._readNames(branch);
+            if (names) {
+                const original = normalizePath(targetPath);
+                storedPath = Object.keys(names.files).find(stored => names.files[stored] === original)
+                    || path.posix.join(path.posix.dirname(original), crypto.randomBytes(16).toString('hex'));
+            }
+
             // Check if the file exists already (GET request)
-            const response = await axios.get(`${this.apiUrl}/${finalFilepath}/${finalFilename}`, {
-                headers: { Authorization: `Bearer ${this.token}` }
+            const response = await this._request({
+                method: 'get',
+                url: `${this.apiUrl}/${storedPath}`,
+                params: { ref: branch }
             });
             sha = response.data.sha; // Get the SHA if file exists
         } catch (error) {
-            if (error.response && error.response.status !== 404) {
-                throw error; // Other errors (not 404) should be thrown
+            if (!error.response || error.response.status !== 404) {
+                throw toStorageError(error, 'Error uploading file to GitHub', targetPath); // Other errors (not 404) should be thrown
             }
         }
 
-        if (sha && !overwrite) {
+        const expectedSha = expectedShaOf(options);
+        if (expectedSha !== undefined) {
+            // The SHA check replaces the overwrite check: the caller says exactly which version it replaces
+            assertSha(targetPath, expectedSha, sha);
+        } else if (sha && !overwrite) {
+            const errorIfExists = options.errorIfExists !== undefined ? options.errorIfExists : this.errorIfExists;
+            if (errorIfExists) {
+                throw new ConflictError('Error uploading file to GitHub: File already exists!', { path: targetPath });
+            }
+
             // If the file exists and 'overwrite' is false, return a message indicating the file already exists
             return {
                 message: 'File already exists!',
@@ -66,116 +590,339 @@ class GitHubFileStorage {
             };
         }
 
-        const commitMessage = sha ? `Update ${finalFilename}` : `Upload ${finalFilename}`;
+        // Commit messages must not give encrypted filenames away
+        const shownName = names ? path.posix.basename(storedPath) : finalFilename;
+        const operation = sha ? 'update' : 'upload';
+        const defaultMessage = sha ? `Update ${shownName}` : `Upload ${shownName}`;
+        const isNewName = names && !names.files[storedPath];
         try {
+            // Content is encrypted if enabled, then stored in LFS and replaced by a pointer file if over the LFS threshold
+            fileContent = await this._prepareContent(fileContent);
+
+            if (Buffer.byteLength(fileContent, 'base64') > this.largeFileThreshold || isNewName) {
+                // The Contents API cannot take large files in one PUT, so commit them as a blob instead
+                const update = [{ path: storedPath, content: fileContent, expectedSha }];
+                if (isNewName) {
+                    // Add the new name to the map in the same commit; its expected SHA catches concurrent uploads
+                    const files = { ...names.files, [storedPath]: normalizePath(targetPath) };
+                    update.push({ path: names.path, content: Buffer.from(JSON.stringify(files)).toString('base64'), expectedSha: names.sha });
+                }
+
+                const result = await this._commitFiles(
+                    { ...commitOptionsOf(options), update, branch },
+                    { operation, path: targetPath, paths: [targetPath], message: defaultMessage, prepared: [storedPath] }
+                );
+
+                // Answer in the Contents API's shape, so callers can chain the new blob SHA either way
+                const stored = Buffer.from(fileContent, 'base64');
+                return {
+                    message: sha ? 'File updated successfully!' : 'File uploaded successfully!',
+                    data: {
+                        content: { name: path.posix.basename(storedPath), path: storedPath, type: 'file', sha: gitBlobSha(stored), size: stored.length },
+                        commit: { sha: result.data.commit }
+                    }
+                };
+            }
+
+            const commitMessage = this._commitMessage({ operation, path: targetPath, paths: [targetPath], branch, message: defaultMessage }, options);
             const apiRequest = sha
-                ? axios.put(`${this.apiUrl}/${finalFilepath}/${finalFilename}`, {
-                    message: commitMessage,
-                    content: fileContent,
-                    sha: sha  // Use sha to update the file
-                }, {
-                    headers: { Authorization: `Bearer ${this.token}` }
+                ? this._request({
+                    method: 'put',
+                    url: `${this.apiUrl}/${storedPath}`,
+                    data: {
+                        message: commitMessage,
+                        content: fileContent,
+                        sha: sha,  // Use sha to update the file
+                        branch: branch,
+                        ...this._commitIdentity(options)
+                    }
                 })
-                : axios.put(`${this.apiUrl}/${finalFilepath}/${finalFilename}`, {
-                    message: commitMessage,
-                    content: fileContent
-                }, {
-                    headers: { Authorization: `Bearer ${this.token}` }
+                : this._request({
+                    method: 'put',
+                    url: `${this.apiUrl}/${storedPath}`,
+                    data: {
+                        message: commitMessage,
+                        content: fileContent,
+                        branch: branch,
+                        ...this._commitIdentity(options)
+                    }
                 });
 
             const result = await apiRequest;
+            await this._invalidateCache([storedPath]);
+            this._reportCommit({ sha: result.data.commit.sha, operation, branch, message: commitMessage, paths: [targetPath] }, options);
 
             return {
                 message: sha ? 'File updated successfully!' : 'File uploaded successfully!',
                 data: result.data
             };
         } catch (error) {
-            throw new Error('Error uploading file to GitHub: ' + error.message);
+            throw toStorageError(error, 'Error uploading file to GitHub', targetPath);
         }
     }
 
     /**
      * Lists files in the repository or a specific folder.
      * @param {string} [filepath=''] - The path of the folder to list files from.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
      * @returns {Promise<Object>} The list of files.
-     * @throws {Error} If there is an error retrieving the files.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
      */
-    async listFiles(filepath = '') {
+    async listFiles(filepath = '', options = {}) {
         try {
-            const response = await axios.get(`${this.apiUrl}/${filepath}`, {
-                headers: { Authorization: `Bearer ${this.token}` }
+            const ref = this._resolveRef(options);
+            const response = await this._request({
+                method: 'get',
+                url: `${this.apiUrl}/${filepath}`,
+                params: { ref }
             });
 
-            const files = response.data.map(item => ({
-                name: item.name,
-                path: item.path,
-                type: item.type,
-                sha: item.sha,
-                url: item.download_url // Direct URL for downloading
-            }));
+            // Files with encrypted names are listed under their original names, and the map itself is hidden
+            const names = await this._readNames(ref);
+            const files = response.data
+                .filter(item => !names || item.path !== names.path)
+                .map(item => {
+                    const original = names && names.files[item.path];
+                    return {
+                        name: original ? path.posix.basename(original) : item.name,
+                        path: original || item.path,
+                        type: item.type,
+                        sha: item.sha,
+                        url: item.download_url // Direct URL for downloading
+                    };
+                });
 
             return { message: 'Files retrieved successfully!', files };
         } catch (error) {
-            throw new Error('Error retrieving files: ' + error.message);
+            throw toStorageError(error, 'Error retrieving files', filepath);
         }
     }
 
     /**
      * Lists all files in a directory, including subdirectories.
+     * Uses the Git Trees API, which returns a whole tree in one request.
      * @param {string} [filepath=''] - The path of the directory to list files from.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @param {string|Array<string>} [options.include] - Glob patterns of the entries to include, relative to the directory.
+     * @param {string|Array<string>} [options.exclude] - Glob patterns of the entries to leave out, relative to the directory.
+     * @param {number} [options.maxDepth] - How many levels to descend (1 lists only the directory itself; unlimited by default).
+     * @param {boolean} [options.includeDirs=false] - Whether to return directories as well as files.
+     * @param {Function} [options.filter] - Called with each entry; entries it returns false for are left out.
+     * @param {boolean} [options.downloadUrls=false] - Whether to fill in each file's `url`, the Contents API `download_url`.
+     *   The Trees API has no download URLs, so they take one Contents API request per folder; otherwise `url` is null.
      * @returns {Promise<Object>} The list of all files.
-     * @throws {Error} If there is an error retrieving the files.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
      */
-    async listAllFiles(filepath = '') {
+    async listAllFiles(filepath = '', options = {}) {
         const files = [];
-        async function getFilesInDirectory(path) {
-            const response = await axios.get(`${this.apiUrl}/${path}`, {
-                headers: { Authorization: `Bearer ${this.token}` }
+        for await (const entry of this.iterateFiles(filepath, options)) {
+            files.push(entry);
+        }
+        return { message: 'Files retrieved successfully!', files };
+    }
+
+    /**
+     * Iterates over all files in a directory, including subdirectories, as an async iterator.
+     * Each entry has `name`, `path`, `type` ('file', 'dir', 'symlink' or 'submodule'), `sha`, `size`, `mode` and `url`.
+     * When GitHub truncates a very large tree, the directories are read one at a time instead.
+     * @param {string} [filepath=''] - The path of the directory to list files from.
+     * @param {Object} [options={}] - The same settings as `listAllFiles`.
+     * @returns {AsyncIterableIterator<Object>} The entries.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
+     */
+    async *iterateFiles(filepath = '', options = {}) {
+        const root = stripSlashes(filepath);
+        const maxDepth = options.maxDepth || Infinity;
+        const downloadUrls = options.downloadUrls ? new Map() : null; // Folder path to its files' download URLs
+
+        // Entries are yielded relative to the listed directory, then filtered
+        const select = async (item, relativePath) => {
+            const depth = relativePath.split('/').length;
+            const storedPath = root ? `${root}/${relativePath}` : relativePath;
+            const entry = this._toTreeEntry(item, storedPath);
+
+            // Files with encrypted names are shown under their original names; folder names are not encrypted
+            let shownPath = relativePath;
+            if (names) {
+                if (storedPath === names.path) return null;
+                const original = names.files[storedPath];
+                if (original) {
+                    entry.name = path.posix.basename(original);
+                    entry.path = original;
+                    shownPath = relativePath.replace(/[^/]*$/, entry.name);
+                }
+            }
+
+            if (depth > maxDepth) return null;
+            if (entry.type === 'dir' && !options.includeDirs) return null;
+            if (!matchesFilters(shownPath, options)) return null;
+            if (options.filter && !options.filter(entry)) return null;
+
+            if (downloadUrls && (entry.type === 'file' || entry.type === 'symlink')) {
+                const folder = path.posix.dirname(storedPath);
+                if (!downloadUrls.has(folder)) downloadUrls.set(folder, this._getDownloadUrls(folder === '.' ? '' : folder, ref));
+                entry.url = await this._getDownloadUrl(storedPath, ref, await downloadUrls.get(folder));
+            }
+            return entry;
+        };
+
+        let ref;
+        let names;
+        try {
+            ref = this._resolveRef(options) || await this._getDefaultBranch();
+            names = await this._readNames(ref);
+            const treeSha = await this._resolveTreeSha(root, ref);
+
+            const response = await this._request({
+                method: 'get',
+                url: `${this.repoUrl}/git/trees/${encodeURIComponent(treeSha)}`,
+                params: { recursive: 1 }
             });
 
-            for (const item of response.data) {
-                if (item.type === 'dir') {
-                    await getFilesInDirectory.call(this, item.path);  // Recursive call for directories
-                } else {
-                    files.push({
-                        name: item.name,
-                        path: item.path,
-                        type: item.type,
-                        sha: item.sha,
-                        url: item.download_url
-                    });
+            if (!response.data.truncated) {
+                for (const item of response.data.tree) {
+                    const entry = await select(item, item.path);
+                    if (entry) yield entry;
+                }
+                return;
+            }
+
+            // The tree is too large for one response, so walk it one directory at a time
+            async function* walk(sha, dirPath) {
+                const subtree = await this._request({
+                    method: 'get',
+                    url: `${this.repoUrl}/git/trees/${encodeURIComponent(sha)}`
+                });
+
+                for (const item of subtree.data.tree) {
+                    const relativePath = dirPath ? `${dirPath}/${item.path}` : item.path;
+                    const entry = await select(item, relativePath);
+                    if (entry) yield entry;
+
+                    if (item.type === 'tree' && relativePath.split('/').length < maxDepth) {
+                        yield* walk.call(this, item.sha, relativePath);  // Recursive call for directories
+                    }
                 }
             }
+
+            yield* walk.call(this, treeSha, '');
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving files', filepath);
         }
+    }
 
-        await getFilesInDirectory.call(this, filepath);
-        return { message: 'Files retrieved successfully!', files };
+    /**
+     * Finds the SHA of the tree holding a directory.
+     * @param {string} dirPath - The path of the directory, without surrounding slashes ('' for the root).
+     * @param {string} ref - The branch, tag or commit SHA to read from.
+     * @returns {Promise<string>} The tree SHA, or the ref itself for the root.
+     * @throws {NotFoundError} If the directory does not exist.
+     * @private
+     */
+    async _resolveTreeSha(dirPath, ref) {
+        if (!dirPath) return ref; // The Trees API accepts a ref for the root tree
+
+        // The parent directory's listing holds the directory's tree SHA
+        const parent = path.posix.dirname(dirPath);
+        const response = await this._request({
+            method: 'get',
+            url: `${this.apiUrl}/${parent === '.' ? '' : parent}`,
+            params: { ref }
+        });
+
+        const name = path.posix.basename(dirPath);
+        const dir = Array.isArray(response.data) && response.data.find(item => item.name === name && item.type === 'dir');
+        if (!dir) {
+            throw new NotFoundError(`Directory not found: ${dirPath}`, { status: 404, path: dirPath });
+        }
+        return dir.sha;
+    }
+
+    /**
+     * Converts a Git Trees API item into a listing entry, without its download URL.
+     * @param {Object} item - The tree item.
+     * @param {string} fullPath - The item's path from the repository root.
+     * @returns {Object} The listing entry.
+     * @private
+     */
+    _toTreeEntry(item, fullPath) {
+        let type = 'file';
+        if (item.type === 'tree') type = 'dir';
+        else if (item.type === 'commit') type = 'submodule';
+        else if (item.mode === '120000') type = 'symlink';
+
+        return {
+            name: path.posix.basename(fullPath),
+            path: fullPath,
+            type,
+            sha: item.sha,
+            size: item.size || 0,
+            mode: item.mode,
+            url: null
+        };
+    }
+
+    /**
+     * Reads the download URLs of the files in a folder from its Contents API listing.
+     * These are the URLs GitHub hands out, which carry a token for private repositories.
+     * @param {string} dirPath - The path of the folder ('' for the root).
+     * @param {string} ref - The branch, tag or commit SHA.
+     * @returns {Promise<Map>} The `download_url` of each listed file by path.
+     * @private
+     */
+    async _getDownloadUrls(dirPath, ref) {
+        const response = await this._request({ method: 'get', url: `${this.apiUrl}/${dirPath}`, params: { ref } });
+        return new Map(response.data.map(item => [item.path, item.download_url]));
+    }
+
+    /**
+     * Gets the download URL of a file from its folder's listing, or from the file itself when the listing
+     * leaves it out (the Contents API lists at most 1,000 files per folder).
+     * @param {string} filePath - The path of the file.
+     * @param {string} ref - The branch, tag or commit SHA.
+     * @param {Map} listed - The download URLs of the folder, from `_getDownloadUrls`.
+     * @returns {Promise<string|null>} The download URL.
+     * @private
+     */
+    async _getDownloadUrl(filePath, ref, listed) {
+        if (listed.has(filePath)) return listed.get(filePath);
+
+        const response = await this._request({ method: 'get', url: `${this.apiUrl}/${filePath}`, params: { ref } });
+        return response.data.download_url || null;
     }
 
     /**
      * Gets the content of a file as a Base64 string.
      * @param {string} filepath - The path of the file.
      * @param {string} filename - The name of the file.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
      * @returns {Promise<Object>} The file content in base64 format.
-     * @throws {Error} If the filepath or filename is not provided or there is an error fetching the file content.
+     * @throws {ValidationError} If the filepath or filename is not provided.
+     * @throws {GitHubFileStorageError} If there is an error fetching the file content.
      */
-    async getContentBase64(filepath, filename) {
+    async getContentBase64(filepath, filename, options = {}) {
         if (!filepath || !filename) {
-            throw new Error('Both filepath and filename are required!');
+            throw new ValidationError('Both filepath and filename are required!');
         }
 
         try {
-            const response = await axios.get(`${this.apiUrl}/${filepath}/${filename}`, {
-                headers: { Authorization: `Bearer ${this.token}` },
+            const ref = this._resolveRef(options);
+            const response = await this._request({
+                method: 'get',
+                url: `${this.apiUrl}/${await this._storedPath(`${filepath}/${filename}`, ref)}`,
+                params: { ref }
             });
 
             // Return the file content in base64 along with additional info
             return {
-                content: response.data.content,  // The content field is already in base64 format
+                content: await this._resolveContent(response.data),  // Base64, read from the blob or LFS when the API omits it
                 filename: filename
             };
         } catch (error) {
-            throw new Error('Error fetching file content from GitHub: ' + error.message);
+            throw toStorageError(error, 'Error fetching file content from GitHub', `${filepath}/${filename}`);
         }
     }
 
@@ -183,23 +930,29 @@ class GitHubFileStorage {
      * Downloads a file from the repository.
      * @param {string} filepath - The path of the file.
      * @param {string} filename - The name of the file.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
      * @returns {Promise<Object>} The file content in base64 format or the download URL.
-     * @throws {Error} If the filepath or filename is not provided or there is an error downloading the file.
+     * @throws {ValidationError} If the filepath or filename is not provided.
+     * @throws {GitHubFileStorageError} If there is an error downloading the file.
      */
-    async download(filepath, filename) {
+    async download(filepath, filename, options = {}) {
         if (!filepath || !filename) {
-            throw new Error('Both filepath and filename are required!');
+            throw new ValidationError('Both filepath and filename are required!');
         }
 
         const filePath = `${filepath}/${filename}`;
 
         try {
             // Fetch the file metadata to get the content or download URL
-            const response = await axios.get(`${this.apiUrl}/${filePath}`, {
-                headers: { Authorization: `Bearer ${this.token}` }
+            const ref = this._resolveRef(options);
+            const response = await this._request({
+                method: 'get',
+                url: `${this.apiUrl}/${await this._storedPath(filePath, ref)}`,
+                params: { ref }
             });
 
-            const fileContent = response.data.content; // base64 encoded content
+            const fileContent = await this._resolveContent(response.data); // base64 encoded content
             const downloadUrl = response.data.download_url; // The direct URL for downloading the file
 
             if (fileContent) {
@@ -216,145 +969,1457 @@ class GitHubFileStorage {
                 };
             }
 
-            throw new Error('File content or download URL not found');
+            throw new NotFoundError('File content or download URL not found', { path: filePath });
         } catch (error) {
-            throw new Error('Error downloading file: ' + error.message);
+            throw toStorageError(error, 'Error downloading file', filePath);
         }
     }
 
     /**
-     * Lists files in a directory, including subdirectories.
-     * @param {string} [filepath=''] - The path of the directory to list files from.
-     * @returns {Promise<Array>} The list of files.
-     * @throws {Error} If there is an error retrieving the files.
+     * Opens a readable stream of a file's raw bytes.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @returns {Promise<Readable>} The file content stream.
+     * @private
      */
-    async listFilesInDirectory(filepath = '') {
-        const files = [];
+    async _openStream(filePath, options = {}) {
+        const ref = this._resolveRef(options);
+        const url = `${this.apiUrl}/${stripSlashes(filePath)}`;
+
+        if (this.encryption) {
+            // GCM only verifies content once all of it is read, so decrypt whole files rather than stream unverified data
+            const file = await this._getFileAt(stripSlashes(filePath), ref);
+            return stream.Readable.from([Buffer.from(await this._resolveContent(file), 'base64')]);
+        }
 
-        async function getFiles(path) {
-            const response = await axios.get(`${this.apiUrl}/${path}`, {
-                headers: { Authorization: `Bearer ${this.token}` },
+        if (this.lfs) {
+            // Pointer files are small enough for the Contents API to include their content
+            const response = await this._request({
+                method: 'get',
+                url,
+                params: { ref }
             });
+            const pointer = lfs.parsePointer(Buffer.from(response.data.content || '', 'base64'));
 
-            for (const item of response.data) {
-                if (item.type === 'dir') {
-                    await getFiles(item.path); // Recursively fetch files in subdirectories
-                } else {
-                    files.push({
-                        name: item.name,
-                        path: item.path,
-                        url: item.download_url,
-                    });
-                }
+            if (pointer) {
+                const { actions } = await this._lfsBatch('download', pointer);
+                const object = await this._request({
+                    method: 'get',
+                    url: actions.download.href,
+                    headers: actions.download.header,
+                    responseType: 'stream'
+                }, { authenticate: false });
+                return object.data;
             }
         }
 
-        await getFiles.call(this, filepath);
-        return files;
+        // The raw media type returns the bytes themselves, for files up to 100 MB
+        const response = await this._request({
+            method: 'get',
+            url,
+            headers: { Accept: 'application/vnd.github.raw' },
+            params: { ref },
+            responseType: 'stream'
+        });
+        return response.data;
     }
 
     /**
-     * Downloads all files from a specific folder and packages them into a ZIP file.
-     * @param {string} [filepath=''] - The path of the folder to download files from.
-     * @param {string} [storagePath=''] - The local storage path to save the ZIP file.
-     * @returns {Promise<string>} The path to the generated ZIP file.
-     * @throws {Error} If there is an error downloading the files or creating the ZIP file.
+     * Creates a readable stream of a file's content, without holding the whole file in memory.
+     * Errors, including a missing file, are emitted on the returned stream.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @returns {Readable} The file content stream.
+     * @throws {ValidationError} If the file path is not provided.
      */
-    async downloadAll(filepath = '', storagePath = '') {
-        try {
-            const files = await this.listFilesInDirectory(filepath); // List all files in the folder
-    
-            // Ensure the storagePath directory exists, create it if necessary
-            const fullStoragePath = path.join(storagePath);
-            if (!fs.existsSync(fullStoragePath)) {
-                fs.mkdirSync(fullStoragePath, { recursive: true });  // Create directory and its parent directories if necessary
-            }
-    
-            // Create a temporary file to store the ZIP
-            const zipFilePath = path.join(fullStoragePath, 'output.zip');
-            const output = fs.createWriteStream(zipFilePath);
-            const archive = archiver('zip', { zlib: { level: 9 } });
-    
-            // Pipe the ZIP archive to the output stream
-            archive.pipe(output);
-    
-            // Download and add each file to the ZIP
-            for (const file of files) {
-                const fileContent = await axios.get(file.url, {
-                    headers: { Authorization: `Bearer ${this.token}` },
-                    responseType: 'arraybuffer', // Handle binary data
-                });
-    
-                // Add the file content to the ZIP archive
-                archive.append(fileContent.data, { name: file.name });
-            }
-    
-            // Finalize the ZIP file
-            archive.finalize();
-    
-            return new Promise((resolve, reject) => {
-                // Wait for the ZIP file to finish writing
-                output.on('close', () => {
-                    resolve(zipFilePath); // Return the path to the generated ZIP file
-                });
-    
-                // Handle any errors during the archive process
-                archive.on('error', (err) => {
-                    reject(new Error('Error creating ZIP: ' + err.message));
-                });
-            });
-    
-        } catch (error) {
-            throw new Error('Error downloading files: ' + error.message);
+    createReadStream(filePath, options = {}) {
+        if (!filePath) {
+            throw new ValidationError('File path is required!');
         }
+
+        const output = new stream.PassThrough();
+
+        this._openStream(filePath, options)
+            .then(input => {
+                input.on('error', error => output.destroy(toStorageError(error, 'Error streaming file', filePath)));
+                input.pipe(output);
+            })
+            .catch(error => output.destroy(toStorageError(error, 'Error streaming file', filePath)));
+
+        return output;
     }
 
     /**
-     * Deletes a file from the repository.
-     * @param {string} filepath - The path of the file.
-     * @param {string} filename - The name of the file.
-     * @returns {Promise<Object>} The result of the delete operation.
-     * @throws {Error} If the filepath or filename is not provided or there is an error deleting the file.
+     * Streams a file to a local path or a writable stream, such as an HTTP response.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {string|Writable} destination - The local file path or writable stream to write to.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @returns {Promise<Object>} The result of the download operation.
+     * @throws {ValidationError} If the file path or destination is not provided.
+     * @throws {GitHubFileStorageError} If there is an error downloading the file.
      */
-    async deleteFile(filepath, filename) {
-        if (!filepath || !filename) {
-            throw new Error('Both filepath and filename are required!');
+    async downloadToFile(filePath, destination, options = {}) {
+        if (!filePath || !destination) {
+            throw new ValidationError('Both file path and destination are required!');
         }
 
-        const filePath = `${filepath}/${filename}`;
-
         try {
-            // Get the file's metadata (including SHA) before deleting it
-            const response = await axios.get(`${this.apiUrl}/${filePath}`, {
-                headers: {
-                    Authorization: `Bearer ${this.token}`
-                }
-            });
+            let output = destination;
+            if (typeof destination === 'string') {
+                await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+                output = fs.createWriteStream(destination);
+            }
 
-            const sha = response.data.sha;  // SHA of the file
-            const commitMessage = `Delete ${filename}`;  // Commit message for deletion
+            const input = await this._openStream(filePath, options);
+            await pipeline(input, output);
 
-            // Make the DELETE request to GitHub API to remove the file
-            const deleteResponse = await axios.delete(`${this.apiUrl}/${filePath}`, {
+            return {
+                message: 'File downloaded successfully!',
+                path: typeof destination === 'string' ? destination : null
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error downloading file', filePath);
+        }
+    }
+
+    /**
+     * Lists files in a directory, including subdirectories.
+     * @param {string} [filepath=''] - The path of the directory to list files from.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @param {boolean} [options.downloadUrls=false] - Whether to fill in each file's `url`, as for `listAllFiles`.
+     * @returns {Promise<Array>} The list of files.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
+     */
+    async listFilesInDirectory(filepath = '', options = {}) {
+        const { files } = await this.listAllFiles(filepath, { ref: this._resolveRef(options), downloadUrls: options.downloadUrls });
+        return files.map(file => ({ name: file.name, path: file.path, url: file.url }));
+    }
+
+    /**
+     * Creates an archive of all files in a folder as a readable stream, e.g. to pipe into an HTTP response.
+     * Files are fetched as the archive is consumed, keeping their paths relative to the folder. One file at a time
+     * is streamed straight into the archive; with a higher `concurrency`, files are read into memory while others download.
+     * Each finished file is reported through the 'progress' event. Errors are emitted on the returned stream.
+     * @param {string} [filepath=''] - The path of the folder to archive.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @param {string} [options.format='zip'] - The archive format: 'zip', 'tar' or 'tar.gz'.
+     * @param {string|Array<string>} [options.include] - Glob patterns of the files to include, relative to the folder.
+     * @param {string|Array<string>} [options.exclude] - Glob patterns of the files to leave out, relative to the folder.
+     * @param {Function} [options.filter] - Called with each file entry from `listAllFiles`; files it returns false for are left out.
+     * @param {number} [options.concurrency=1] - How many files are downloaded at once.
+     * @param {boolean} [options.continueOnError=false] - Leave out files that fail to download instead of failing the archive.
+     * @param {AbortSignal} [options.signal] - Fails the archive once aborted.
+     * @param {Function} [options.onProgress] - Called with the same event as 'progress' as each file finishes.
+     * @returns {Readable} The archive stream.
+     * @throws {ValidationError} If the format is not supported.
+     */
+    createArchiveStream(filepath = '', options = {}) {
+        const format = ARCHIVE_FORMATS[options.format || 'zip'];
+        if (!format) {
+            throw new ValidationError(`Unsupported archive format: ${options.format}`);
+        }
+
+        const archive = archiver(format.type, format.options);
+        const root = stripSlashes(filepath);
+        const concurrency = options.concurrency || 1;
+
+        // Entries are appended one after another, each once the previous one is written
+        let written = Promise.resolve();
+        const append = (input, name) => {
+            written = written.then(() => new Promise(resolve => {
+                archive.once('entry', resolve);
+                archive.append(input, { name });
+            }));
+            return written;
+        };
+
+        const addFiles = async () => {
+            const { files } = await this.listAllFiles(root, { ...options, downloadUrls: false });
+            const entries = files
+                .map(file => ({ path: file.path, name: root ? path.posix.relative(root, file.path) : file.path }))
+                .filter(entry => matchesFilters(entry.name, options));
+
+            const report = await bulk.runBulk(this, 'download', entries, async entry => {
+                const input = await this._openStream(entry.path, options);
+                await append(concurrency > 1 ? await readStream(input) : input, entry.name);
+            }, { ...options, concurrency, stopOnError: !options.continueOnError });
+
+            if (report.cancelled) {
+                throw new GitHubFileStorageError('Archive cancelled', { cause: options.signal.reason });
+            }
+            if (report.failures.length > 0 && !options.continueOnError) {
+                throw report.failures[0].error;
+            }
+
+            await archive.finalize();
+        };
+
+        addFiles().catch(error => archive.emit('error', toStorageError(error, 'Error creating archive', root)));
+
+        return archive;
+    }
+
+    /**
+     * Downloads all files from a specific folder and packages them into a ZIP file.
+     * @param {string} [filepath=''] - The path of the folder to download files from.
+     * @param {string} [storagePath=''] - The local storage path to save the ZIP file.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @param {string} [options.filename] - The name of the archive file (defaults to a unique name, so concurrent calls do not collide).
+     * @param {string} [options.format='zip'] - The archive format: 'zip', 'tar' or 'tar.gz'.
+     * @param {string|Array<string>} [options.include] - Glob patterns of the files to include, relative to the folder.
+     * @param {string|Array<string>} [options.exclude] - Glob patterns of the files to leave out, relative to the folder.
+     * @param {number} [options.concurrency=4] - How many files are downloaded at once.
+     * @param {boolean} [options.continueOnError=false] - Leave out files that fail to download instead of failing the archive.
+     * @param {AbortSignal} [options.signal] - Stops the download and removes the partial archive once aborted.
+     * @param {Function} [options.onProgress] - Called with the same event as 'progress' as each file finishes.
+     * @returns {Promise<string>} The path to the generated ZIP file.
+     * @throws {GitHubFileStorageError} If there is an error downloading the files or creating the ZIP file.
+     */
+    async downloadAll(filepath = '', storagePath = '', options = {}) {
+        let zipFilePath = null;
+        try {
+            // Ensure the storagePath directory exists, create it if necessary
+            const fullStoragePath = path.join(storagePath);
+            await fs.promises.mkdir(fullStoragePath, { recursive: true });
+
+            const format = options.format || 'zip';
+            const filename = options.filename || `archive-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${format}`;
+            zipFilePath = path.join(fullStoragePath, filename);
+
+            const archive = this.createArchiveStream(filepath, { concurrency: bulk.DEFAULT_CONCURRENCY, ...options });
+            const output = fs.createWriteStream(zipFilePath);
+
+            // Write the archive to disk and wait until the file is closed
+            await pipeline(archive, output);
+
+            return zipFilePath; // Return the path to the generated ZIP file
+        } catch (error) {
+            if (zipFilePath) {
+                await fs.promises.unlink(zipFilePath).catch(() => {}); // Don't leave a partial archive behind
+            }
+            throw toStorageError(error, 'Error downloading files', filepath);
+        }
+    }
+
+    /**
+     * Deletes a file from the repository.
+     * @param {string} filepath - The path of the folder holding the file ('' for the repository root).
+     * @param {string} filename - The name of the file.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.branch] - The branch to delete the file from (alias: `ref`).
+     * @param {string} [options.expectedSha] - Only delete the file if its current blob SHA is this one (alias: `ifMatch`).
+     * @param {string|Function} [options.message] - The commit message, or a template function; the other commit options of `upload` apply too.
+     * @returns {Promise<Object>} The result of the delete operation.
+     * @throws {ValidationError} If the filename is not provided.
+     * @throws {ConflictError} If the file does not match `expectedSha`.
+     * @throws {GitHubFileStorageError} If there is an error deleting the file.
+     */
+    async deleteFile(filepath, filename, options = {}) {
+        if (!filename) {
+            throw new ValidationError('Filename is required!');
+        }
+
+        const filePath = normalizePath(`${filepath || ''}/${filename}`);
+        const branch = this._resolveRef(options);
+
+        try {
+            // Files with encrypted names keep their map entry, so older versions can still be found by name
+            const storedPath = await this._storedPath(filePath, branch);
+
+            // Get the file's metadata (including SHA) before deleting it
+            const response = await this._request({
+                method: 'get',
+                url: `${this.apiUrl}/${storedPath}`,
+                params: { ref: branch }
+            });
+
+            const sha = response.data.sha;  // SHA of the file
+            const expectedSha = expectedShaOf(options);
+            if (expectedSha !== undefined) assertSha(filePath, expectedSha, sha);
+
+            // Commit message for deletion, without giving an encrypted filename away
+            const commitMessage = this._commitMessage({
+                operation: 'delete',
+                path: normalizePath(filePath),
+                paths: [normalizePath(filePath)],
+                branch,
+                message: `Delete ${storedPath === filePath ? filename : path.posix.basename(storedPath)}`
+            }, options);
+
+            // Make the DELETE request to GitHub API to remove the file
+            const deleteResponse = await this._request({
+                method: 'delete',
+                url: `${this.apiUrl}/${storedPath}`,
                 headers: {
-                    Authorization: `Bearer ${this.token}`,
                     'Content-Type': 'application/json'
                 },
                 data: {
                     message: commitMessage,
-                    sha: sha, // Provide the SHA of the file to be deleted
-                    branch: 'main'  // You can specify a branch here (optional), default is 'main'
+                    sha: sha, // GitHub answers 409 if the file changed since it was read
+                    branch: branch,  // Omitted when undefined, so GitHub falls back to the default branch
+                    ...this._commitIdentity(options)
                 }
             });
+            await this._invalidateCache([storedPath]);
+            this._reportCommit({
+                sha: deleteResponse.data.commit.sha,
+                operation: 'delete',
+                branch,
+                message: commitMessage,
+                paths: [normalizePath(filePath)]
+            }, options);
 
             return {
                 message: 'File deleted successfully!',
                 data: deleteResponse.data
             };
         } catch (error) {
-            throw new Error('Error deleting file: ' + error.message);
+            throw toStorageError(error, 'Error deleting file', filePath);
+        }
+    }
+
+    /**
+     * Uploads many files, several at a time. A failed file does not stop the others: the result reports
+     * which files were uploaded, which failed and, after cancellation, which were never started.
+     * Each finished file is also reported through the 'progress' event.
+     * @param {Array<Object>} files - The files, each with a `path` in the repository, `file` content as accepted by `upload`,
+     *   and optionally `overwrite` (default true) and `expectedSha` (alias `ifMatch`).
+     * @param {Object} [options={}] - Additional settings, plus the `upload` options shared by every file.
+     * @param {number} [options.concurrency=4] - How many files are uploaded at once.
+     * @param {AbortSignal} [options.signal] - Stops starting new uploads once aborted; running ones finish.
+     * @param {Function} [options.onProgress] - Called with the same event as 'progress' as each file finishes.
+     * @returns {Promise<Object>} The `uploaded` files with their `upload` results, the `failed` files with their `error`,
+     *   the `skipped` paths, and whether the upload was `cancelled`.
+     * @throws {ValidationError} If a file has no path or content, or the concurrency is invalid.
+     */
+    uploadMany(files, options = {}) {
+        return bulk.uploadMany(this, files, options);
+    }
+
+    /**
+     * Deletes many files, several at a time. A failed file does not stop the others: the result reports
+     * which files were deleted, which failed and, after cancellation, which were never started.
+     * Each finished file is also reported through the 'progress' event.
+     * @param {Array<string|Object>} paths - The paths of the files, or `{ path, expectedSha }` objects.
+     * @param {Object} [options={}] - Additional settings, plus the `deleteFile` options shared by every file.
+     * @param {number} [options.concurrency=4] - How many files are deleted at once.
+     * @param {AbortSignal} [options.signal] - Stops starting new deletions once aborted; running ones finish.
+     * @param {Function} [options.onProgress] - Called with the same event as 'progress' as each file finishes.
+     * @returns {Promise<Object>} The `deleted` files with their `deleteFile` results, the `failed` files with their `error`,
+     *   the `skipped` paths, and whether the deletion was `cancelled`.
+     * @throws {ValidationError} If a path is missing, or the concurrency is invalid.
+     */
+    deleteMany(paths, options = {}) {
+        return bulk.deleteMany(this, paths, options);
+    }
+
+    /**
+     * Updates a file with a read-modify-write cycle that is safe against concurrent writers.
+     * The file is read, passed to `mutator`, and written back only if nobody changed it in between;
+     * on a conflict the cycle starts over with the new content.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {Function} mutator - Receives the current content as a Buffer (null if the file does not exist) and
+     *   `{ sha, path }`, and returns (or resolves to) the new content as a Buffer or UTF-8 string, or undefined to leave the file as is.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {number} [options.retries=3] - How many times to start over after a conflict.
+     * @param {string} [options.branch] - The branch to work on (alias: `ref`).
+     * @param {string|Function} [options.message] - The commit message; the other commit options of `upload` apply too.
+     * @returns {Promise<Object>} The result of the write, with the number of `attempts` made.
+     * @throws {ValidationError} If the path or mutator is not provided.
+     * @throws {ConflictError} If the file still conflicts after all retries.
+     * @throws {GitHubFileStorageError} If there is an error reading or writing the file.
+     */
+    async updateFile(filePath, mutator, options = {}) {
+        if (!filePath || typeof mutator !== 'function') {
+            throw new ValidationError('Both file path and mutator function are required!');
+        }
+
+        const target = stripSlashes(filePath);
+        const directory = path.posix.dirname(target) === '.' ? '' : path.posix.dirname(target);
+        const filename = path.posix.basename(target);
+        const branch = this._resolveRef(options);
+        const retries = options.retries === undefined ? 3 : options.retries;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                let current = null;
+                let sha = null;
+                try {
+                    const file = await this._getFileAt(target, branch);
+                    current = Buffer.from(await this._resolveContent(file), 'base64');
+                    sha = file.sha;
+                } catch (error) {
+                    if (!error.response || error.response.status !== 404) throw error;
+                }
+
+                const next = await mutator(current, { sha, path: target });
+                if (next === undefined || next === null) {
+                    return { message: 'File left unchanged!', data: null, attempts: attempt };
+                }
+
+                const content = Buffer.isBuffer(next) ? next : Buffer.from(String(next), 'utf8');
+                if (current && current.equals(content)) {
+                    return { message: 'File left unchanged!', data: null, attempts: attempt };
+                }
+
+                const result = await this.upload(content, directory, filename, true, { ...commitOptionsOf(options), branch, expectedSha: sha });
+                return { ...result, attempts: attempt };
+            } catch (error) {
+                const conflict = error instanceof ConflictError
+                    || (error.response && error.response.status === 409);
+                if (conflict && attempt <= retries) continue; // Someone else wrote first: read again and reapply
+
+                throw toStorageError(error, 'Error updating file', target);
+            }
+        }
+    }
+
+    /**
+     * Commits several file changes to a branch as a single commit using the Git Data API.
+     * @param {Object} changes - The changes to commit.
+     * @param {Array<Object>} [changes.add=[]] - Files to create, each `{ path, content }` with base64 content,
+     *   or `{ path, sha }` reusing an existing blob. An optional `mode` (default '100644') keeps e.g. the executable bit.
+     *   An optional `expectedSha` makes the commit fail unless the file currently has that blob SHA (null: it must not exist).
+     * @param {Array<Object>} [changes.update=[]] - Files to overwrite, in the same format as `add`.
+     * @param {Array<string|Object>} [changes.delete=[]] - Paths of the files to remove, or `{ path, expectedSha }`.
+     * @param {string|Function} [changes.message] - The commit message, or a template function (see the `commitMessage` constructor option).
+     * @param {string} [changes.branch] - The branch to commit to (alias: `ref`).
+     * @param {Object|string} [changes.author] - The commit author; `committer`, `coAuthors`, `signOff` and `onCommit` can be set too.
+     * @returns {Promise<Object>} The commit and tree SHAs of the new commit.
+     * @throws {ValidationError} If no changes are provided.
+     * @throws {ConflictError} If the branch moved while committing, or a file does not match its `expectedSha`.
+     * @throws {GitHubFileStorageError} If there is an error creating the commit.
+     */
+    commitFiles(changes = {}) {
+        return this._commitFiles(changes, { operation: 'commit' });
+    }
+
+    /**
+     * Commits file changes for `commitFiles` and the methods built on it.
+     * @param {Object} changes - The changes and commit options, as taken by `commitFiles`.
+     * @param {Object} context - What the commit is for, as passed to message templates: the `operation`, and optionally
+     *   the single `path`, the `paths` to report instead of the changed ones, and the default `message`.
+     *   `prepared` lists the paths whose content the caller has already encrypted or moved to LFS, to commit as given.
+     * @returns {Promise<Object>} The commit and tree SHAs of the new commit.
+     * @private
+     */
+    async _commitFiles({ add = [], update = [], delete: remove = [], ...options } = {}, context = {}) {
+        const writes = [...add, ...update];
+        if (writes.length === 0 && remove.length === 0) {
+            throw new ValidationError('At least one file to add, update or delete is required!');
+        }
+
+        for (const file of writes) {
+            if (!file || !file.path || (!file.content && !file.sha)) {
+                throw new ValidationError('Each added or updated file needs a path and content or a blob SHA!');
+            }
+        }
+
+        const prepared = new Set(context.prepared || []);
+
+        try {
+            const branch = this._resolveRef(options) || await this._getDefaultBranch();
+
+            // Find the commit the branch currently points to and its tree
+            const ref = await this._request({ method: 'get', url: `${this.repoUrl}/git/ref/heads/${branch}` });
+            const parentSha = ref.data.object.sha;
+            const parent = await this._request({ method: 'get', url: `${this.repoUrl}/git/commits/${parentSha}` });
+
+            // Check expected SHAs against the commit we build on; the fast-forward update below catches later changes
+            for (const file of [...writes, ...remove]) {
+                if (file && typeof file === 'object' && file.expectedSha !== undefined) {
+                    await this._checkShaAt(stripSlashes(file.path), file.expectedSha, parentSha);
+                }
+            }
+
+            // Upload the new contents as blobs
+            const tree = [];
+            for (const file of writes) {
+                const mode = file.mode || '100644';
+
+                if (file.sha) {
+                    // The content is already in the repository, so just point to its blob, or its commit for a submodule
+                    tree.push({ path: stripSlashes(file.path), mode, type: mode === '160000' ? 'commit' : 'blob', sha: file.sha });
+                    continue;
+                }
+
+                const blob = await this._request({
+                    method: 'post',
+                    url: `${this.repoUrl}/git/blobs`,
+                    data: {
+                        content: prepared.has(file.path) ? file.content : await this._prepareContent(file.content),
+                        encoding: 'base64'
+                    }
+                });
+
+                tree.push({ path: stripSlashes(file.path), mode, type: 'blob', sha: blob.data.sha });
+            }
+
+            // A null SHA removes the path from the tree
+            for (const file of remove) {
+                const filePath = typeof file === 'string' ? file : file.path;
+                tree.push({ path: stripSlashes(filePath), mode: '100644', type: 'blob', sha: null });
+            }
+
+            const newTree = await this._request({
+                method: 'post',
+                url: `${this.repoUrl}/git/trees`,
+                data: {
+                    base_tree: parent.data.tree.sha,
+                    tree
+                }
+            });
+
+            const paths = [...writes, ...remove].map(file => stripSlashes(typeof file === 'string' ? file : file.path));
+            const details = { paths, message: `Update ${writes.length + remove.length} files`, ...context, branch };
+            const commitMessage = this._commitMessage(details, options);
+            const commit = await this._request({
+                method: 'post',
+                url: `${this.repoUrl}/git/commits`,
+                data: {
+                    message: commitMessage,
+                    tree: newTree.data.sha,
+                    parents: [parentSha],
+                    ...this._commitIdentity(options)
+                }
+            });
+
+            try {
+                // Fast-forward only: GitHub rejects the update if the branch moved since we read it
+                await this._request({
+                    method: 'patch',
+                    url: `${this.repoUrl}/git/refs/heads/${branch}`,
+                    data: {
+                        sha: commit.data.sha,
+                        force: false
+                    }
+                });
+            } catch (error) {
+                if (error.response && error.response.status === 422) {
+                    throw new ConflictError(`Branch '${branch}' was updated while committing, retry the commit`, {
+                        retryable: true,
+                        status: error.response.status,
+                        requestId: error.response.headers['x-github-request-id'] || null,
+                        body: error.response.data,
+                        cause: error
+                    });
+                }
+                throw error;
+            }
+
+            await this._invalidateCache(paths);
+            this._reportCommit({ sha: commit.data.sha, operation: details.operation, branch, message: commitMessage, paths: details.paths }, options);
+
+            return {
+                message: 'Files committed successfully!',
+                data: { branch, commit: commit.data.sha, tree: newTree.data.sha }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error committing files');
+        }
+    }
+
+    /**
+     * Verifies a file's blob SHA at a ref.
+     * @param {string} filePath - The path of the file, without leading or trailing slashes.
+     * @param {string|null} expectedSha - The expected blob SHA, or null if the file must not exist.
+     * @param {string} ref - The branch, tag or commit SHA to check.
+     * @returns {Promise<void>}
+     * @throws {ConflictError} If the file's SHA differs.
+     * @private
+     */
+    async _checkShaAt(filePath, expectedSha, ref) {
+        let sha = null;
+        try {
+            const response = await this._request({ method: 'get', url: `${this.apiUrl}/${filePath}`, params: { ref } });
+            sha = response.data.sha;
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) throw error;
+        }
+        assertSha(filePath, expectedSha, sha);
+    }
+
+    /**
+     * Works out which blobs a move or copy has to place where.
+     * @param {string} from - The path of the source file or folder.
+     * @param {string} to - The destination path.
+     * @param {Object} [options={}] - The move or copy options.
+     * @returns {Promise<Array<Object>>} One `{ from, to, sha, mode }` entry per file.
+     * @private
+     */
+    async _planCopy(from, to, options = {}) {
+        const source = stripSlashes(from || '');
+        const target = stripSlashes(to || '');
+        if (!source || !target) {
+            throw new ValidationError('Both source and destination paths are required!');
+        }
+        if (source === target) {
+            throw new ValidationError('Source and destination paths are the same!');
+        }
+        if (this.encryption && this.encryption.filenames) {
+            throw new ValidationError('Files cannot be moved or copied while filenames are encrypted!');
+        }
+
+        const ref = this._resolveRef(options);
+        const modeOf = item => item.mode || (item.type === 'symlink' ? '120000' : undefined);
+
+        // Folders list as arrays, files as a single object
+        const response = await this._request({ method: 'get', url: `${this.apiUrl}/${source}`, params: { ref } });
+        let entries;
+        if (Array.isArray(response.data)) {
+            entries = (await this.listAllFiles(source, { ref })).files.map(file => ({
+                from: file.path,
+                to: target + file.path.slice(source.length),
+                sha: file.sha,
+                mode: modeOf(file)
+            }));
+        } else {
+            // The Contents API reports no mode, so read it from the parent folder's tree to keep e.g. the executable bit.
+            // Only that one tree is fetched, not recursively, which for a file at the root would be the whole repository
+            const parent = path.posix.dirname(source);
+            const treeSha = await this._resolveTreeSha(parent === '.' ? '' : parent, ref || await this._getDefaultBranch());
+            const tree = await this._request({ method: 'get', url: `${this.repoUrl}/git/trees/${encodeURIComponent(treeSha)}` });
+            const file = tree.data.tree.find(item => item.path === path.posix.basename(source)) || response.data;
+            entries = [{ from: source, to: target, sha: response.data.sha, mode: modeOf(file) }];
+        }
+
+        if (!options.overwrite) {
+            const existing = new Set();
+            try {
+                const destination = await this._request({ method: 'get', url: `${this.apiUrl}/${target}`, params: { ref } });
+                if (Array.isArray(destination.data)) {
+                    (await this.listAllFiles(target, { ref })).files.forEach(file => existing.add(file.path));
+                } else {
+                    existing.add(target);
+                }
+            } catch (error) {
+                if (!error.response || error.response.status !== 404) throw error;
+            }
+
+            const conflicts = entries.filter(entry => existing.has(entry.to));
+            if (conflicts.length) {
+                throw new ConflictError(`Destination already exists: ${conflicts.map(entry => entry.to).join(', ')}`, { path: target });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Copies a file or folder within the repository as a single commit.
+     * Existing blobs are reused, so no content is downloaded or uploaded again.
+     * @param {string} from - The path of the file or folder to copy.
+     * @param {string} to - The destination path.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {boolean} [options.overwrite=false] - Whether to replace files that already exist at the destination.
+     * @param {string|Function} [options.message] - The commit message (defaults to 'Copy <from> to <to>'); the other commit options of `upload` apply too.
+     * @param {string} [options.branch] - The branch to work on (alias: `ref`).
+     * @returns {Promise<Object>} The commit details and the copied files.
+     * @throws {ValidationError} If a path is missing or both paths are the same.
+     * @throws {NotFoundError} If the source does not exist.
+     * @throws {ConflictError} If the destination exists and `overwrite` is false, or the branch moved while committing.
+     * @throws {GitHubFileStorageError} If there is an error copying the files.
+     */
+    async copy(from, to, options = {}) {
+        try {
+            const entries = await this._planCopy(from, to, options);
+            const result = await this._commitFiles({
+                ...commitOptionsOf(options),
+                add: entries.map(entry => ({ path: entry.to, sha: entry.sha, mode: entry.mode })),
+                branch: this._resolveRef(options)
+            }, { operation: 'copy', message: `Copy ${stripSlashes(from)} to ${stripSlashes(to)}` });
+
+            return {
+                message: 'Files copied successfully!',
+                data: { ...result.data, files: entries.map(entry => ({ from: entry.from, to: entry.to })) }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error copying files', from);
+        }
+    }
+
+    /**
+     * Moves or renames a file or folder within the repository as a single commit.
+     * Existing blobs are reused, so no content is downloaded or uploaded again.
+     * @param {string} from - The path of the file or folder to move.
+     * @param {string} to - The destination path.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {boolean} [options.overwrite=false] - Whether to replace files that already exist at the destination.
+     * @param {string|Function} [options.message] - The commit message (defaults to 'Move <from> to <to>'); the other commit options of `upload` apply too.
+     * @param {string} [options.branch] - The branch to work on (alias: `ref`).
+     * @returns {Promise<Object>} The commit details and the moved files.
+     * @throws {ValidationError} If a path is missing or both paths are the same.
+     * @throws {NotFoundError} If the source does not exist.
+     * @throws {ConflictError} If the destination exists and `overwrite` is false, or the branch moved while committing.
+     * @throws {GitHubFileStorageError} If there is an error moving the files.
+     */
+    async move(from, to, options = {}) {
+        try {
+            const entries = await this._planCopy(from, to, options);
+            const destinations = new Set(entries.map(entry => entry.to));
+
+            const result = await this._commitFiles({
+                ...commitOptionsOf(options),
+                add: entries.map(entry => ({ path: entry.to, sha: entry.sha, mode: entry.mode })),
+                // Skip sources that are also destinations, e.g. when moving a folder into its own subfolder
+                delete: entries.filter(entry => !destinations.has(entry.from)).map(entry => entry.from),
+                branch: this._resolveRef(options)
+            }, { operation: 'move', message: `Move ${stripSlashes(from)} to ${stripSlashes(to)}` });
+
+            return {
+                message: 'Files moved successfully!',
+                data: { ...result.data, files: entries.map(entry => ({ from: entry.from, to: entry.to })) }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error moving files', from);
+        }
+    }
+
+    /**
+     * Compares a local folder with a repository folder by git blob SHA.
+     * @param {string} localDir - The local folder.
+     * @param {string} remotePath - The repository folder, without leading or trailing slashes.
+     * @param {Object} options - The sync settings (see syncUp).
+     * @param {boolean} missingRemoteIsEmpty - Whether a missing repository folder counts as empty instead of failing.
+     * @returns {Promise<Object>} The local files and repository files, keyed by relative path, plus the relative
+     *     paths that exist only locally (`localOnly`), only in the repository (`remoteOnly`) or differ (`changed`).
+     * @private
+     */
+    async _planSync(localDir, remotePath, options, missingRemoteIsEmpty) {
+        const filter = createIgnoreFilter({ ignore: options.ignore });
+        const paths = await listLocalFiles(localDir, filter, options.ignoreFiles || ['.gitignore']);
+
+        const local = new Map();
+        for (const [relativePath, absolutePath] of paths) {
+            const { size, sha, oid, executable } = await hashFile(absolutePath);
+            // Files above the LFS threshold are committed as pointers, so compare the pointer's SHA
+            const blobSha = this.lfs && size > this.lfsThreshold
+                ? gitBlobSha(Buffer.from(lfs.formatPointer(oid, size)))
+                : sha;
+            local.set(relativePath, { absolutePath, sha: blobSha, executable });
+        }
+
+        const remote = new Map();
+        try {
+            const { files } = await this.listAllFiles(remotePath, { ref: this._resolveRef(options) });
+            for (const file of files) {
+                if (file.type !== 'file') continue;
+
+                const relativePath = remotePath ? file.path.slice(remotePath.length + 1) : file.path;
+                // Ignored paths are left alone on both sides, so they are never deleted either
+                if (!filter.ignores(relativePath)) remote.set(relativePath, file);
+            }
+        } catch (error) {
+            if (!(missingRemoteIsEmpty && error instanceof NotFoundError)) throw error;
+        }
+
+        const localOnly = [...local.keys()].filter(relativePath => !remote.has(relativePath));
+        const remoteOnly = [...remote.keys()].filter(relativePath => !local.has(relativePath));
+        const changed = [...local.keys()].filter(relativePath =>
+            remote.has(relativePath) && remote.get(relativePath).sha !== local.get(relativePath).sha);
+
+        return { local, remote, localOnly, remoteOnly, changed };
+    }
+
+    /**
+     * Mirrors a local folder to a repository folder as a single commit.
+     * Only new and changed files are uploaded, compared by git blob SHA.
+     * @param {string} localDir - The local folder to upload.
+     * @param {string} [remotePath=''] - The repository folder to update.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {boolean} [options.delete=false] - Whether to delete repository files that do not exist locally.
+     * @param {boolean} [options.dryRun=false] - Whether to only report the changes without committing them.
+     * @param {Array<string>} [options.ignore] - `.gitignore`-style patterns of paths to leave out, relative to the folders.
+     * @param {Array<string>} [options.ignoreFiles=['.gitignore']] - Names of the ignore files to read from the local folder and its subfolders.
+     * @param {string|Function} [options.message] - The commit message (defaults to 'Sync <remotePath>'); the other commit options of `upload` apply too.
+     * @param {string} [options.branch] - The branch to commit to (alias: `ref`).
+     * @returns {Promise<Object>} The relative paths `added`, `changed`, `deleted` and `unchanged`, and the commit details in `data` (null if nothing was committed).
+     * @throws {ValidationError} If the local folder is not given or is not a folder, or encryption is enabled.
+     * @throws {NotFoundError} If the local folder does not exist.
+     * @throws {ConflictError} If the branch moved while committing.
+     * @throws {GitHubFileStorageError} If there is an error syncing the files.
+     */
+    async syncUp(localDir, remotePath = '', options = {}) {
+        if (!localDir) {
+            throw new ValidationError('Local directory is required!');
+        }
+        // Files are compared by blob SHA, which for encrypted files is that of the ciphertext
+        if (this.encryption) {
+            throw new ValidationError('Files cannot be synced while encryption is enabled!');
+        }
+
+        // A mistyped folder must not read as an empty one, or `delete` would empty the repository folder
+        const stats = await fs.promises.stat(localDir).catch(() => null);
+        if (!stats) {
+            throw new NotFoundError(`Local directory not found: ${localDir}`);
+        }
+        if (!stats.isDirectory()) {
+            throw new ValidationError(`Not a directory: ${localDir}`);
+        }
+
+        const root = stripSlashes(remotePath);
+        const toRemote = relativePath => (root ? `${root}/${relativePath}` : relativePath);
+
+        try {
+            const plan = await this._planSync(localDir, root, options, true);
+            const deleted = options.delete ? plan.remoteOnly : [];
+            const summary = {
+                added: plan.localOnly,
+                changed: plan.changed,
+                deleted,
+                unchanged: plan.local.size - plan.localOnly.length - plan.changed.length
+            };
+
+            if (options.dryRun || (!plan.localOnly.length && !plan.changed.length && !deleted.length)) {
+                return { message: options.dryRun ? 'Dry run completed successfully!' : 'Files already in sync!', ...summary, data: null };
+            }
+
+            const toEntry = async relativePath => {
+                const file = plan.local.get(relativePath);
+                const content = await fs.promises.readFile(file.absolutePath);
+                return {
+                    path: toRemote(relativePath),
+                    content: content.toString('base64'),
+                    mode: file.executable ? '100755' : '100644'
+                };
+            };
+
+            const add = [];
+            for (const relativePath of plan.localOnly) add.push(await toEntry(relativePath));
+            const update = [];
+            for (const relativePath of plan.changed) update.push(await toEntry(relativePath));
+
+            const result = await this._commitFiles({
+                ...commitOptionsOf(options),
+                add,
+                update,
+                delete: deleted.map(toRemote),
+                branch: this._resolveRef(options)
+            }, { operation: 'sync', message: `Sync ${root || 'repository root'}` });
+
+            return { message: 'Files synced successfully!', ...summary, data: result.data };
+        } catch (error) {
+            throw toStorageError(error, 'Error syncing files', root);
+        }
+    }
+
+    /**
+     * Mirrors a repository folder to a local folder.
+     * Only new and changed files are downloaded, compared by git blob SHA.
+     * @param {string} [remotePath=''] - The repository folder to download.
+     * @param {string} localDir - The local folder to update (created if missing).
+     * @param {Object} [options={}] - Additional settings.
+     * @param {boolean} [options.delete=false] - Whether to delete local files that do not exist in the repository.
+     * @param {boolean} [options.dryRun=false] - Whether to only report the changes without writing any file.
+     * @param {Array<string>} [options.ignore] - `.gitignore`-style patterns of paths to leave out, relative to the folders.
+     * @param {Array<string>} [options.ignoreFiles=['.gitignore']] - Names of the ignore files to read from the local folder and its subfolders.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to read from (alias: `branch`).
+     * @param {Function} [options.onProgress] - Called with the same event as 'progress' as each file is downloaded.
+     * @returns {Promise<Object>} The relative paths `added`, `changed` and `deleted` locally, and the number of `unchanged` files.
+     * @throws {ValidationError} If the local folder is missing, or encryption is enabled.
+     * @throws {NotFoundError} If the repository folder does not exist.
+     * @throws {GitHubFileStorageError} If there is an error syncing the files.
+     */
+    async syncDown(remotePath = '', localDir, options = {}) {
+        if (!localDir) {
+            throw new ValidationError('Local directory is required!');
+        }
+        if (this.encryption) {
+            throw new ValidationError('Files cannot be synced while encryption is enabled!');
+        }
+
+        const root = stripSlashes(remotePath);
+        const toLocal = relativePath => path.join(localDir, ...relativePath.split('/'));
+
+        try {
+            const plan = await this._planSync(localDir, root, options, false);
+            const deleted = options.delete ? plan.localOnly : [];
+            const summary = {
+                added: plan.remoteOnly,
+                changed: plan.changed,
+                deleted,
+                unchanged: plan.remote.size - plan.remoteOnly.length - plan.changed.length
+            };
+
+            if (options.dryRun) {
+                return { message: 'Dry run completed successfully!', ...summary };
+            }
+
+            const ref = this._resolveRef(options);
+            const downloads = [...plan.remoteOnly, ...plan.changed].map(relativePath => ({ path: plan.remote.get(relativePath).path, relativePath }));
+            const report = await bulk.runBulk(this, 'download', downloads, entry => this.downloadToFile(entry.path, toLocal(entry.relativePath), { ref }), {
+                concurrency: 1,
+                stopOnError: true,
+                onProgress: options.onProgress
+            });
+            if (report.failures.length > 0) throw report.failures[0].error;
+            for (const relativePath of deleted) {
+                await fs.promises.unlink(toLocal(relativePath));
+            }
+
+            return { message: 'Files synced successfully!', ...summary };
+        } catch (error) {
+            throw toStorageError(error, 'Error syncing files', root);
+        }
+    }
+
+    /**
+     * Lists the commits that changed a file, newest first.
+     * @param {string} filePath - The path of the file (or folder) in the repository.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.ref] - The branch, tag or commit SHA to start from (alias: `branch`).
+     * @param {number} [options.limit=100] - The maximum number of commits to return.
+     * @param {Date|string} [options.since] - Only commits after this date.
+     * @param {Date|string} [options.until] - Only commits before this date.
+     * @returns {Promise<Object>} The commits, each with its `sha`, `message`, `author`, `committer`, `date` and `url`.
+     * @throws {ValidationError} If the path is not provided.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the history.
+     */
+    async getHistory(filePath, options = {}) {
+        if (!filePath) {
+            throw new ValidationError('File path is required!');
+        }
+
+        const limit = options.limit || 100;
+        const perPage = Math.min(limit, 100);
+        const toIso = date => (date ? new Date(date).toISOString() : undefined);
+        const commits = [];
+
+        try {
+            const target = await this._storedPath(stripSlashes(filePath), this._resolveRef(options));
+
+            for (let page = 1; commits.length < limit; page++) {
+                const response = await this._request({
+                    method: 'get',
+                    url: `${this.repoUrl}/commits`,
+                    params: {
+                        path: target,
+                        sha: this._resolveRef(options),
+                        since: toIso(options.since),
+                        until: toIso(options.until),
+                        per_page: perPage,
+                        page
+                    }
+                });
+
+                for (const item of response.data.slice(0, limit - commits.length)) {
+                    commits.push({
+                        sha: item.sha,
+                        message: item.commit.message,
+                        // `login` is only known when the commit email belongs to a GitHub account
+                        author: { ...item.commit.author, login: item.author ? item.author.login : null },
+                        committer: { ...item.commit.committer, login: item.committer ? item.committer.login : null },
+                        date: item.commit.author.date,
+                        url: item.html_url
+                    });
+                }
+
+                if (response.data.length < perPage) break; // Last page reached
+            }
+
+            return { message: 'History retrieved successfully!', commits };
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving file history', filePath);
+        }
+    }
+
+    /**
+     * Reads a file as it was at a given branch, tag or commit.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {string} ref - The branch, tag or commit SHA, e.g. a SHA from `getHistory`.
+     * @returns {Promise<Object>} The file content in base64 format, with its blob `sha`.
+     * @throws {ValidationError} If the path or ref is not provided, or the path is a folder.
+     * @throws {NotFoundError} If the file did not exist at that ref.
+     * @throws {GitHubFileStorageError} If there is an error fetching the file.
+     */
+    async getContentAt(filePath, ref) {
+        if (!filePath || !ref) {
+            throw new ValidationError('Both file path and ref are required!');
+        }
+
+        try {
+            const file = await this._getFileAt(stripSlashes(filePath), ref);
+            return {
+                content: await this._resolveContent(file),
+                sha: file.sha,
+                path: file.path,
+                ref
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error fetching file version', filePath);
+        }
+    }
+
+    /**
+     * Fetches the Contents API metadata of a file at a ref.
+     * @param {string} filePath - The path of the file, without leading or trailing slashes.
+     * @param {string} ref - The branch, tag or commit SHA.
+     * @returns {Promise<Object>} The file metadata.
+     * @throws {ValidationError} If the path is a folder.
+     * @private
+     */
+    async _getFileAt(filePath, ref) {
+        const storedPath = await this._storedPath(filePath, ref);
+        const response = await this._request({ method: 'get', url: `${this.apiUrl}/${storedPath}`, params: { ref } });
+
+        if (Array.isArray(response.data) || response.data.type !== 'file') {
+            throw new ValidationError(`Not a file: ${filePath}`, { path: filePath });
+        }
+        return response.data;
+    }
+
+    /**
+     * Writes an old version of a file back as a new commit, e.g. to recover content that `upload` overwrote.
+     * The old blob is reused, so no content is downloaded or uploaded again. Deleted files are recreated.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {string} ref - The branch, tag or commit SHA holding the version to restore.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string|Function} [options.message] - The commit message (defaults to 'Restore <path> from <ref>'); the other commit options of `upload` apply too.
+     * @param {string} [options.branch] - The branch to commit to (alias: `ref`).
+     * @returns {Promise<Object>} The commit details, or null `data` if the file already matches that version.
+     * @throws {ValidationError} If the path or ref is not provided, or the path is a folder.
+     * @throws {NotFoundError} If the file did not exist at that ref.
+     * @throws {ConflictError} If the branch moved while committing.
+     * @throws {GitHubFileStorageError} If there is an error restoring the file.
+     */
+    async restore(filePath, ref, options = {}) {
+        if (!filePath || !ref) {
+            throw new ValidationError('Both file path and ref are required!');
+        }
+
+        const target = stripSlashes(filePath);
+        const branch = this._resolveRef(options);
+
+        try {
+            const version = await this._getFileAt(target, ref);
+
+            try {
+                const current = await this._getFileAt(target, branch);
+                if (current.sha === version.sha) {
+                    return { message: 'File already matches that version!', data: null };
+                }
+            } catch (error) {
+                // A deleted file is simply recreated
+                if (!(error.response && error.response.status === 404)) throw error;
+            }
+
+            // Commit messages must not give encrypted filenames away
+            const shownPath = version.path === target ? target : path.posix.basename(version.path);
+            const result = await this._commitFiles({
+                ...commitOptionsOf(options),
+                update: [{ path: version.path, sha: version.sha }], // The stored path, which differs if filenames are encrypted
+                branch
+            }, { operation: 'restore', path: target, paths: [target], message: `Restore ${shownPath} from ${ref}` });
+
+            return { message: 'File restored successfully!', data: { ...result.data, sha: version.sha } };
+        } catch (error) {
+            throw toStorageError(error, 'Error restoring file', filePath);
+        }
+    }
+
+    /**
+     * Compares two versions of a text file as a unified diff.
+     * A file missing at one of the refs is compared as empty, showing it as added or deleted.
+     * @param {string} filePath - The path of the file in the repository.
+     * @param {string} refA - The branch, tag or commit SHA of the old version.
+     * @param {string} [refB] - The branch, tag or commit SHA of the new version (defaults to the configured branch).
+     * @param {Object} [options={}] - Additional settings.
+     * @param {number} [options.context=3] - The number of unchanged lines shown around each change.
+     * @returns {Promise<Object>} The unified `diff` text and the number of `additions` and `deletions`.
+     * @throws {ValidationError} If the path or first ref is not provided, or the file is binary.
+     * @throws {NotFoundError} If the file exists at neither ref.
+     * @throws {GitHubFileStorageError} If there is an error comparing the versions.
+     */
+    async diff(filePath, refA, refB, options = {}) {
+        if (!filePath || !refA) {
+            throw new ValidationError('Both file path and ref are required!');
+        }
+
+        const target = stripSlashes(filePath);
+        const readAt = async ref => {
+            try {
+                return Buffer.from(await this._resolveContent(await this._getFileAt(target, ref)), 'base64');
+            } catch (error) {
+                if (error.response && error.response.status === 404) return null;
+                throw error;
+            }
+        };
+
+        try {
+            const [before, after] = [await readAt(refA), await readAt(refB || this.branch)];
+            if (!before && !after) {
+                throw new NotFoundError(`File not found at ${refA} or ${refB || this.branch || 'the default branch'}`, { path: target });
+            }
+            // Like git, treat content with NUL bytes as binary
+            if ((before && before.includes(0)) || (after && after.includes(0))) {
+                throw new ValidationError('Cannot diff a binary file', { path: target });
+            }
+
+            const oldText = before ? before.toString('utf8') : '';
+            const newText = after ? after.toString('utf8') : '';
+            const context = options.context === undefined ? 3 : options.context;
+
+            const { hunks } = jsdiff.structuredPatch(target, target, oldText, newText, '', '', { context });
+            let additions = 0;
+            let deletions = 0;
+            for (const line of hunks.flatMap(hunk => hunk.lines)) {
+                if (line[0] === '+') additions++;
+                if (line[0] === '-') deletions++;
+            }
+
+            return {
+                message: 'Diff created successfully!',
+                diff: jsdiff.createTwoFilesPatch(
+                    before ? `a/${target}` : '/dev/null',
+                    after ? `b/${target}` : '/dev/null',
+                    oldText, newText, refA, refB || this.branch || '', { context }
+                ),
+                additions,
+                deletions
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error comparing file versions', filePath);
+        }
+    }
+
+    /**
+     * Gets the base64 content of a file returned by the Contents API.
+     * The Contents API leaves `content` empty for files over 1 MB, so those are read through
+     * the Git Blobs API, falling back to the raw download URL.
+     * @param {Object} file - The file metadata returned by the Contents API.
+     * @returns {Promise<string>} The file content in base64 format.
+     * @private
+     */
+    async _resolveContent(file) {
+        let content = file.content;
+
+        if (!content && file.size > 0) {
+            try {
+                const blob = await this._request({
+                    method: 'get',
+                    url: `${this.repoUrl}/git/blobs/${file.sha}`,
+                });
+                content = blob.data.content;
+            } catch (error) {
+                if (!file.download_url) throw error;
+
+                const raw = await this._request({
+                    method: 'get',
+                    url: file.download_url,
+                    responseType: 'arraybuffer'
+                });
+                content = Buffer.from(raw.data).toString('base64');
+            }
+        }
+
+        if (!content || (!this.lfs && !this.encryption)) return content;
+
+        const resolved = await this._decrypt(await this._resolveLfsPointer(Buffer.from(content, 'base64')));
+        return resolved.toString('base64');
+    }
+
+    /**
+     * Encrypts content if encryption is enabled, then moves content over the LFS threshold into Git LFS.
+     * @param {string} content - The file content in base64 format.
+     * @returns {Promise<string>} The content to commit: unchanged, encrypted, or an LFS pointer file in base64 format.
+     * @private
+     */
+    async _prepareContent(content) {
+        content = await this._encrypt(content);
+
+        if (!this.lfs || Buffer.byteLength(content, 'base64') <= this.lfsThreshold) {
+            return content;
+        }
+
+        const pointer = await this._uploadLfsObject(Buffer.from(content, 'base64'));
+        return Buffer.from(pointer).toString('base64');
+    }
+
+    /**
+     * Encrypts content with the current key, unless encryption is disabled.
+     * @param {string} content - The file content in base64 format.
+     * @returns {Promise<string>} The encrypted content in base64 format.
+     * @private
+     */
+    async _encrypt(content) {
+        if (!this.encryption) return content;
+
+        const { keyId } = this.encryption;
+        return encryption.encrypt(Buffer.from(content, 'base64'), await this.encryption.getKey(keyId), keyId).toString('base64');
+    }
+
+    /**
+     * Decrypts content with the key named in its header.
+     * @param {Buffer} buffer - The file content, with LFS pointers already resolved.
+     * @returns {Promise<Buffer>} The decrypted content, or the content itself if encryption is disabled or it is not encrypted.
+     * @throws {DecryptionError} If the key is unknown or wrong, or the content was modified.
+     * @private
+     */
+    async _decrypt(buffer) {
+        // Files stored before encryption was enabled are read as they are
+        const header = this.encryption ? encryption.parseHeader(buffer) : null;
+        if (!header) return buffer;
+
+        return encryption.decrypt(buffer, await this.encryption.getKey(header.keyId));
+    }
+
+    /**
+     * Reads the map from the random names of files to their original paths, when filenames are encrypted.
+     * @param {string} [ref] - The branch, tag or commit SHA to read from.
+     * @returns {Promise<Object|null>} The map's `path`, its blob `sha` (null if it does not exist yet) and `files`,
+     *   from stored to original path; null if filenames are not encrypted.
+     * @private
+     */
+    async _readNames(ref) {
+        if (!this.encryption || !this.encryption.filenames) return null;
+
+        const mapPath = this.encryption.mappingFile;
+        try {
+            const response = await this._request({ method: 'get', url: `${this.apiUrl}/${mapPath}`, params: { ref } });
+            const content = Buffer.from(await this._resolveContent(response.data), 'base64');
+
+            return { path: mapPath, sha: response.data.sha, files: JSON.parse(content.toString('utf8')) };
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return { path: mapPath, sha: null, files: {} };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the path a file is stored under.
+     * @param {string} filePath - The original path of the file.
+     * @param {string} [ref] - The branch, tag or commit SHA to read from.
+     * @returns {Promise<string>} The random path from the filename map, or `filePath` itself if filenames are not encrypted or it is not in the map.
+     * @private
+     */
+    async _storedPath(filePath, ref) {
+        const names = await this._readNames(ref);
+        if (!names) return filePath;
+
+        const original = normalizePath(filePath);
+        return Object.keys(names.files).find(stored => names.files[stored] === original) || filePath;
+    }
+
+    /**
+     * Replaces an LFS pointer with the object it points to.
+     * @param {Buffer} buffer - The file content as stored in the repository.
+     * @returns {Promise<Buffer>} The LFS object, or the original content if LFS is disabled or it is not a pointer.
+     * @private
+     */
+    async _resolveLfsPointer(buffer) {
+        const pointer = this.lfs ? lfs.parsePointer(buffer) : null;
+        if (!pointer) return buffer;
+
+        return this._downloadLfsObject(pointer);
+    }
+
+    /**
+     * Sends a request to the Git LFS batch API for a single object.
+     * @param {string} operation - Either 'upload' or 'download'.
+     * @param {Object} object - The object id (`oid`) and `size`.
+     * @returns {Promise<Object>} The batch response for the object, including its transfer `actions`.
+     * @private
+     */
+    async _lfsBatch(operation, object) {
+        const response = await this._request({
+            method: 'post',
+            url: this.lfsUrl,
+            data: {
+                operation,
+                transfers: ['basic'],
+                objects: [{ oid: object.oid, size: object.size }]
+            },
+            headers: { Accept: lfs.MEDIA_TYPE, 'Content-Type': lfs.MEDIA_TYPE }
+        }, { authenticate: 'basic' }); // The LFS server expects basic auth
+
+        const result = response.data.objects[0];
+        if (result.error) {
+            const ErrorClass = result.error.code === 404 ? NotFoundError : GitHubFileStorageError;
+            throw new ErrorClass(`LFS ${operation} failed: ${result.error.message}`, { status: result.error.code });
+        }
+        return result;
+    }
+
+    /**
+     * Uploads content to Git LFS.
+     * @param {Buffer} buffer - The content to store.
+     * @returns {Promise<string>} The pointer file text to commit in place of the content.
+     * @private
+     */
+    async _uploadLfsObject(buffer) {
+        const { oid, size, pointer } = lfs.createPointer(buffer);
+        const actions = (await this._lfsBatch('upload', { oid, size })).actions || {};
+
+        // No upload action means the server already has the object
+        if (actions.upload) {
+            await this._request({
+                method: 'put',
+                url: actions.upload.href,
+                data: buffer,
+                headers: { 'Content-Type': 'application/octet-stream', ...actions.upload.header },
+                maxBodyLength: Infinity
+            }, { authenticate: false });
+        }
+
+        if (actions.verify) {
+            await this._request({
+                method: 'post',
+                url: actions.verify.href,
+                data: { oid, size },
+                headers: { Accept: lfs.MEDIA_TYPE, 'Content-Type': lfs.MEDIA_TYPE, ...actions.verify.header }
+            }, { authenticate: false });
+        }
+
+        return pointer;
+    }
+
+    /**
+     * Downloads an object from Git LFS.
+     * @param {Object} pointer - The object id (`oid`) and `size` from the pointer file.
+     * @returns {Promise<Buffer>} The object content.
+     * @private
+     */
+    async _downloadLfsObject(pointer) {
+        const { actions } = await this._lfsBatch('download', pointer);
+
+        const response = await this._request({
+            method: 'get',
+            url: actions.download.href,
+            headers: actions.download.header,
+            responseType: 'arraybuffer',
+            maxContentLength: Infinity
+        }, { authenticate: false });
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * Gets the name of the repository's default branch.
+     * @returns {Promise<string>} The default branch name.
+     * @private
+     */
+    async _getDefaultBranch() {
+        const response = await this._request({
+            method: 'get',
+            url: this.repoUrl,
+        });
+        return response.data.default_branch;
+    }
+
+    /**
+     * Creates a new branch in the repository.
+     * @param {string} name - The name of the branch to create.
+     * @param {string} [fromRef] - The branch, tag or commit SHA to start from (defaults to the configured branch, then the repository's default branch).
+     * @returns {Promise<Object>} The name and head commit SHA of the new branch.
+     * @throws {ValidationError} If the name is not provided.
+     * @throws {GitHubFileStorageError} If there is an error creating the branch.
+     */
+    async createBranch(name, fromRef) {
+        if (!name) {
+            throw new ValidationError('Branch name is required!');
+        }
+
+        try {
+            const baseRef = fromRef || this.branch || await this._getDefaultBranch();
+
+            // Resolve the starting point to a commit SHA
+            const commit = await this._request({
+                method: 'get',
+                url: `${this.repoUrl}/commits/${encodeURIComponent(baseRef)}`,
+            });
+
+            await this._request({
+                method: 'post',
+                url: `${this.repoUrl}/git/refs`,
+                data: {
+                    ref: `refs/heads/${name}`,
+                    sha: commit.data.sha
+                }
+            });
+
+            return {
+                message: 'Branch created successfully!',
+                data: { name, sha: commit.data.sha }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error creating branch');
+        }
+    }
+
+    /**
+     * Lists the branches of the repository.
+     * @returns {Promise<Object>} The list of branches.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the branches.
+     */
+    async listBranches() {
+        const branches = [];
+        const perPage = 100;
+
+        try {
+            for (let page = 1; ; page++) {
+                const response = await this._request({
+                    method: 'get',
+                    url: `${this.repoUrl}/branches`,
+                    params: { per_page: perPage, page }
+                });
+
+                for (const item of response.data) {
+                    branches.push({
+                        name: item.name,
+                        sha: item.commit.sha,
+                        protected: item.protected
+                    });
+                }
+
+                if (response.data.length < perPage) break; // Last page reached
+            }
+
+            return { message: 'Branches retrieved successfully!', branches };
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving branches');
+        }
+    }
+
+    /**
+     * Deletes a branch from the repository.
+     * @param {string} name - The name of the branch to delete.
+     * @returns {Promise<Object>} The result of the delete operation.
+     * @throws {ValidationError} If the name is not provided.
+     * @throws {GitHubFileStorageError} If there is an error deleting the branch.
+     */
+    async deleteBranch(name) {
+        if (!name) {
+            throw new ValidationError('Branch name is required!');
+        }
+
+        try {
+            await this._request({
+                method: 'delete',
+                url: `${this.repoUrl}/git/refs/heads/${name}`,
+            });
+
+            return { message: 'Branch deleted successfully!', data: { name } };
+        } catch (error) {
+            throw toStorageError(error, 'Error deleting branch');
         }
     }
 }
 
 module.exports = GitHubFileStorage;
+module.exports.GitHubFileStorageError = GitHubFileStorageError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.AuthError = AuthError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.ValidationError = ValidationError;
+module.exports.DecryptionError = DecryptionError;
+module.exports.createRouter = require('./router').createRouter;
+module.exports.LocalFileStorage = require('./LocalFileStorage');
+module.exports.runContractTests = require('./contract').runContractTests;
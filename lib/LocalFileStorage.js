@@ -0,0 +1,550 @@
+const archiver = require('archiver');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const url = require('url');
+const util = require('util');
+const { gitBlobSha } = require('./sync');
+const { ARCHIVE_FORMATS, stripSlashes, matchesFilters, toBase64, expectedShaOf, assertSha } = require('./helpers');
+const { NotFoundError, ConflictError, ValidationError, toStorageError } = require('./errors');
+const bulk = require('./bulk');
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * Creates a store that keeps files in memory.
+ * @returns {Object} The store, with async `get`, `set`, `delete` and `paths`.
+ */
+function createMemoryStore() {
+    const files = new Map();
+
+    return {
+        async get(filePath) {
+            return files.has(filePath) ? files.get(filePath) : null;
+        },
+        async set(filePath, buffer) {
+            files.set(filePath, buffer);
+        },
+        async delete(filePath) {
+            files.delete(filePath);
+        },
+        async paths() {
+            return [...files.keys()];
+        }
+    };
+}
+
+/**
+ * Creates a store that keeps files in a local folder.
+ * Like git, it has no empty folders: deleting the last file of a folder removes the folder.
+ * @param {string} root - The absolute path of the folder.
+ * @returns {Object} The store, with async `get`, `set`, `delete` and `paths`.
+ */
+function createDiskStore(root) {
+    const toAbsolute = filePath => path.join(root, ...filePath.split('/'));
+
+    return {
+        async get(filePath) {
+            try {
+                return await fs.promises.readFile(toAbsolute(filePath));
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'ENOTDIR') return null;
+                throw error;
+            }
+        },
+        async set(filePath, buffer) {
+            await fs.promises.mkdir(path.dirname(toAbsolute(filePath)), { recursive: true });
+            await fs.promises.writeFile(toAbsolute(filePath), buffer);
+        },
+        async delete(filePath) {
+            await fs.promises.unlink(toAbsolute(filePath));
+
+            // Remove folders left empty, up to the root
+            for (let dir = path.posix.dirname(filePath); dir !== '.'; dir = path.posix.dirname(dir)) {
+                const removed = await fs.promises.rmdir(toAbsolute(dir)).then(() => true, () => false);
+                if (!removed) break;
+            }
+        },
+        async paths() {
+            const found = [];
+            const walk = async dir => {
+                const entries = await fs.promises.readdir(dir ? toAbsolute(dir) : root, { withFileTypes: true }).catch(() => []);
+                for (const entry of entries) {
+                    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+                    if (entry.isDirectory()) await walk(relativePath);
+                    else if (entry.isFile()) found.push(relativePath);
+                }
+            };
+            await walk('');
+            return found;
+        }
+    };
+}
+
+/**
+ * Picks the message of a simulated commit.
+ * @param {Object} options - The method's options.
+ * @param {string} fallback - The built-in message.
+ * @returns {string} The `message` option if it is a string, otherwise the built-in message.
+ */
+function commitMessageOf(options, fallback) {
+    return typeof options.message === 'string' && options.message ? options.message : fallback;
+}
+
+/**
+ * LocalFileStorage keeps files in memory or in a local folder behind the same methods and return shapes as
+ * GitHubFileStorage, for tests and offline development. Blob SHAs are real git blob SHAs; commits are simulated.
+ * There is a single branch, so `ref` and `branch` options are accepted and ignored.
+ */
+class LocalFileStorage extends EventEmitter {
+    /**
+     * Creates an instance of LocalFileStorage.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.root] - The local folder to keep files in (files are kept in memory when omitted).
+     * @param {boolean} [options.errorIfExists=false] - Default for `upload`'s `errorIfExists` option.
+     */
+    constructor(options = {}) {
+        super();
+
+        this.root = options.root ? path.resolve(options.root) : null;
+        this.errorIfExists = Boolean(options.errorIfExists);
+        this.store = this.root ? createDiskStore(this.root) : createMemoryStore();
+        this.commitCount = 0;
+    }
+
+    /**
+     * Joins and checks a repository path.
+     * @param {...string} parts - The path parts.
+     * @returns {string} The path without leading, trailing or repeated slashes ('' for the root).
+     * @throws {ValidationError} If the path tries to leave the storage.
+     * @private
+     */
+    _path(...parts) {
+        const segments = parts.filter(part => part !== undefined && part !== null)
+            .map(part => stripSlashes(part))
+            .join('/')
+            .split('/')
+            .filter(Boolean);
+
+        if (segments.some(segment => segment === '.' || segment === '..')) {
+            throw new ValidationError(`Invalid path: ${parts.join('/')}`);
+        }
+        return segments.join('/');
+    }
+
+    /**
+     * Simulates a commit.
+     * @param {string} message - The commit message.
+     * @returns {Object} The commit `sha` and `message`.
+     * @private
+     */
+    _commit(message) {
+        this.commitCount++;
+        const sha = crypto.createHash('sha1').update(`commit ${this.commitCount} ${Date.now()} ${message}`).digest('hex');
+        return { sha, message };
+    }
+
+    /**
+     * Gets the download URL of a file: a file:// URL on disk, none in memory.
+     * @param {string} filePath - The path of the file.
+     * @returns {string|null} The URL.
+     * @private
+     */
+    _url(filePath) {
+        return this.root ? url.pathToFileURL(path.join(this.root, ...filePath.split('/'))).href : null;
+    }
+
+    /**
+     * Reads a file or throws a NotFoundError.
+     * @param {string} filePath - The path of the file.
+     * @returns {Promise<Buffer>} The content.
+     * @private
+     */
+    async _read(filePath) {
+        const buffer = filePath ? await this.store.get(filePath) : null;
+        if (!buffer) throw new NotFoundError(`File not found: ${filePath}`, { status: 404, path: filePath });
+        return buffer;
+    }
+
+    /**
+     * Lists the files and folders below a folder, like the Git Trees API.
+     * @param {string} dirPath - The path of the folder.
+     * @returns {Promise<Array<Object>>} The entries, sorted by path, each with `path` relative to the folder, `type`, `sha` and `size`.
+     * @throws {NotFoundError} If the folder does not exist.
+     * @private
+     */
+    async _tree(dirPath) {
+        const prefix = dirPath ? `${dirPath}/` : '';
+        const files = [];
+        for (const filePath of await this.store.paths()) {
+            if (!filePath.startsWith(prefix)) continue;
+
+            const buffer = await this.store.get(filePath);
+            files.push({ path: filePath.slice(prefix.length), type: 'file', sha: gitBlobSha(buffer), size: buffer.length });
+        }
+
+        if (dirPath && !files.length) {
+            throw new NotFoundError(`Directory not found: ${dirPath}`, { status: 404, path: dirPath });
+        }
+
+        // Folders get a SHA derived from their content, so it changes whenever something inside changes
+        const folders = new Map();
+        for (const file of files) {
+            const parts = file.path.split('/');
+            for (let depth = 1; depth < parts.length; depth++) {
+                const folder = parts.slice(0, depth).join('/');
+                folders.set(folder, (folders.get(folder) || '') + `${file.path}:${file.sha}\n`);
+            }
+        }
+        for (const [folder, content] of folders) {
+            files.push({ path: folder, type: 'dir', sha: gitBlobSha(Buffer.from(content)), size: 0 });
+        }
+
+        return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    }
+
+    /**
+     * Uploads or updates a file.
+     * @param {string|Buffer|Readable|Object} file - The file content as a base64 string or data URI, a Buffer, a readable stream, or `{ path }` naming a local file.
+     * @param {string} [filepath=''] - The path where the file should be stored.
+     * @param {string} [filename='uploaded_file.txt'] - The name of the file.
+     * @param {boolean} [overwrite=true] - Whether to overwrite the file if it already exists.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {boolean} [options.errorIfExists] - Throw a ConflictError instead of returning 'File already exists!' when the file exists and `overwrite` is false.
+     * @param {string|null} [options.expectedSha] - Only write if the file's current blob SHA is this one, or if it does not exist yet when null (alias: `ifMatch`).
+     * @param {string} [options.message] - The message of the simulated commit; other commit options are ignored.
+     * @returns {Promise<Object>} The result of the upload operation.
+     * @throws {ValidationError} If the file is not provided.
+     * @throws {ConflictError} If the file exists, `overwrite` is false and `errorIfExists` is set, or the file does not match `expectedSha`.
+     * @throws {GitHubFileStorageError} If there is an error during the upload.
+     */
+    async upload(file, filepath = '', filename = 'uploaded_file.txt', overwrite = true, options = {}) {
+        if (!file) throw new ValidationError('File is required');
+
+        const targetPath = this._path(filepath, filename);
+        try {
+            const content = Buffer.from(await toBase64(file), 'base64');
+            const existing = await this.store.get(targetPath);
+            const sha = existing ? gitBlobSha(existing) : null;
+
+            const expectedSha = expectedShaOf(options);
+            if (expectedSha !== undefined) {
+                assertSha(targetPath, expectedSha, sha);
+            } else if (sha && !overwrite) {
+                const errorIfExists = options.errorIfExists !== undefined ? options.errorIfExists : this.errorIfExists;
+                if (errorIfExists) {
+                    throw new ConflictError('File already exists!', { path: targetPath });
+                }
+                return { message: 'File already exists!', data: null };
+            }
+
+            await this.store.set(targetPath, content);
+            const commit = this._commit(commitMessageOf(options, `${sha ? 'Update' : 'Upload'} ${filename}`));
+
+            return {
+                message: sha ? 'File updated successfully!' : 'File uploaded successfully!',
+                data: {
+                    content: {
+                        name: path.posix.basename(targetPath),
+                        path: targetPath,
+                        type: 'file',
+                        sha: gitBlobSha(content),
+                        size: content.length,
+                        download_url: this._url(targetPath)
+                    },
+                    commit
+                }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error uploading file', targetPath);
+        }
+    }
+
+    /**
+     * Lists the files and folders directly inside a folder.
+     * @param {string} [filepath=''] - The path of the folder.
+     * @returns {Promise<Object>} The list of files.
+     * @throws {NotFoundError} If the folder does not exist.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
+     */
+    async listFiles(filepath = '') {
+        const dirPath = this._path(filepath);
+        try {
+            const files = (await this._tree(dirPath))
+                .filter(entry => !entry.path.includes('/'))
+                .map(entry => {
+                    const fullPath = dirPath ? `${dirPath}/${entry.path}` : entry.path;
+                    return {
+                        name: entry.path,
+                        path: fullPath,
+                        type: entry.type,
+                        sha: entry.sha,
+                        url: entry.type === 'file' ? this._url(fullPath) : null
+                    };
+                });
+
+            return { message: 'Files retrieved successfully!', files };
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving files', dirPath);
+        }
+    }
+
+    /**
+     * Lists all files in a folder, including subfolders.
+     * @param {string} [filepath=''] - The path of the folder.
+     * @param {Object} [options={}] - The same settings as GitHubFileStorage's `listAllFiles`: `include`, `exclude`, `maxDepth`, `includeDirs` and `filter`.
+     * @returns {Promise<Object>} The list of all files.
+     * @throws {NotFoundError} If the folder does not exist.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
+     */
+    async listAllFiles(filepath = '', options = {}) {
+        const files = [];
+        for await (const entry of this.iterateFiles(filepath, options)) {
+            files.push(entry);
+        }
+        return { message: 'Files retrieved successfully!', files };
+    }
+
+    /**
+     * Iterates over all files in a folder, including subfolders, as an async iterator.
+     * @param {string} [filepath=''] - The path of the folder.
+     * @param {Object} [options={}] - The same settings as `listAllFiles`.
+     * @returns {AsyncIterableIterator<Object>} The entries.
+     * @throws {GitHubFileStorageError} If there is an error retrieving the files.
+     */
+    async *iterateFiles(filepath = '', options = {}) {
+        const root = this._path(filepath);
+        const maxDepth = options.maxDepth || Infinity;
+
+        let tree;
+        try {
+            tree = await this._tree(root);
+        } catch (error) {
+            throw toStorageError(error, 'Error retrieving files', filepath);
+        }
+
+        for (const item of tree) {
+            const fullPath = root ? `${root}/${item.path}` : item.path;
+            const entry = {
+                name: path.posix.basename(fullPath),
+                path: fullPath,
+                type: item.type,
+                sha: item.sha,
+                size: item.size,
+                mode: item.type === 'dir' ? '040000' : '100644',
+                url: item.type === 'file' ? this._url(fullPath) : null
+            };
+
+            if (item.path.split('/').length > maxDepth) continue;
+            if (entry.type === 'dir' && !options.includeDirs) continue;
+            if (!matchesFilters(item.path, options)) continue;
+            if (options.filter && !options.filter(entry)) continue;
+            yield entry;
+        }
+    }
+
+    /**
+     * Downloads a file.
+     * @param {string} filepath - The path of the file.
+     * @param {string} filename - The name of the file.
+     * @returns {Promise<Object>} The file content in base64 format.
+     * @throws {ValidationError} If the filepath or filename is not provided.
+     * @throws {NotFoundError} If the file does not exist.
+     */
+    async download(filepath, filename) {
+        if (!filepath || !filename) {
+            throw new ValidationError('Both filepath and filename are required!');
+        }
+
+        const filePath = this._path(filepath, filename);
+        try {
+            return { data: (await this._read(filePath)).toString('base64') };
+        } catch (error) {
+            throw toStorageError(error, 'Error downloading file', filePath);
+        }
+    }
+
+    /**
+     * Gets the content of a file as a Base64 string.
+     * @param {string} filepath - The path of the file.
+     * @param {string} filename - The name of the file.
+     * @returns {Promise<Object>} The file content in base64 format.
+     * @throws {ValidationError} If the filepath or filename is not provided.
+     * @throws {NotFoundError} If the file does not exist.
+     */
+    async getContentBase64(filepath, filename) {
+        if (!filepath || !filename) {
+            throw new ValidationError('Both filepath and filename are required!');
+        }
+
+        const filePath = this._path(filepath, filename);
+        try {
+            return { content: (await this._read(filePath)).toString('base64'), filename };
+        } catch (error) {
+            throw toStorageError(error, 'Error fetching file content', filePath);
+        }
+    }
+
+    /**
+     * Creates a readable stream of a file's content. Errors, including a missing file, are emitted on the stream.
+     * @param {string} filePath - The path of the file.
+     * @returns {Readable} The file content stream.
+     * @throws {ValidationError} If the file path is not provided.
+     */
+    createReadStream(filePath) {
+        if (!filePath) {
+            throw new ValidationError('File path is required!');
+        }
+
+        const output = new stream.PassThrough();
+        Promise.resolve()
+            .then(() => this._read(this._path(filePath)))
+            .then(buffer => output.end(buffer))
+            .catch(error => output.destroy(toStorageError(error, 'Error streaming file', filePath)));
+        return output;
+    }
+
+    /**
+     * Streams a file to a local path or a writable stream.
+     * @param {string} filePath - The path of the file.
+     * @param {string|Writable} destination - The local file path or writable stream to write to.
+     * @returns {Promise<Object>} The result, with the local `path` when one was given.
+     * @throws {ValidationError} If the file path or destination is not provided.
+     */
+    async downloadToFile(filePath, destination) {
+        if (!filePath || !destination) {
+            throw new ValidationError('Both file path and destination are required!');
+        }
+
+        try {
+            const buffer = await this._read(this._path(filePath));
+            if (typeof destination === 'string') {
+                await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+                await fs.promises.writeFile(destination, buffer);
+            } else {
+                await pipeline(stream.Readable.from([buffer]), destination);
+            }
+
+            return {
+                message: 'File downloaded successfully!',
+                path: typeof destination === 'string' ? destination : null
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error downloading file', filePath);
+        }
+    }
+
+    /**
+     * Creates an archive of all files in a folder as a readable stream. Errors are emitted on the stream.
+     * @param {string} [filepath=''] - The path of the folder to archive.
+     * @param {Object} [options={}] - The `format` ('zip', 'tar' or 'tar.gz') and the `listAllFiles` filters.
+     * @returns {Readable} The archive stream.
+     * @throws {ValidationError} If the format is not supported.
+     */
+    createArchiveStream(filepath = '', options = {}) {
+        const format = ARCHIVE_FORMATS[options.format || 'zip'];
+        if (!format) {
+            throw new ValidationError(`Unsupported archive format: ${options.format}`);
+        }
+
+        const archive = archiver(format.type, format.options);
+        const root = this._path(filepath);
+
+        const addFiles = async () => {
+            const { files } = await this.listAllFiles(root, options);
+            for (const file of files) {
+                archive.append(await this._read(file.path), { name: root ? path.posix.relative(root, file.path) : file.path });
+            }
+            await archive.finalize();
+        };
+
+        addFiles().catch(error => archive.emit('error', toStorageError(error, 'Error creating archive', root)));
+        return archive;
+    }
+
+    /**
+     * Packages all files of a folder into an archive file.
+     * @param {string} [filepath=''] - The path of the folder.
+     * @param {string} [storagePath=''] - The local folder to save the archive in.
+     * @param {Object} [options={}] - The archive `filename` and the `createArchiveStream` settings.
+     * @returns {Promise<string>} The path to the generated archive.
+     * @throws {GitHubFileStorageError} If there is an error creating the archive.
+     */
+    async downloadAll(filepath = '', storagePath = '', options = {}) {
+        let archivePath = null;
+        try {
+            await fs.promises.mkdir(path.join(storagePath), { recursive: true });
+
+            const format = options.format || 'zip';
+            const filename = options.filename || `archive-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${format}`;
+            archivePath = path.join(storagePath, filename);
+
+            await pipeline(this.createArchiveStream(filepath, options), fs.createWriteStream(archivePath));
+            return archivePath;
+        } catch (error) {
+            if (archivePath) {
+                await fs.promises.unlink(archivePath).catch(() => {}); // Don't leave a partial archive behind
+            }
+            throw toStorageError(error, 'Error downloading files', filepath);
+        }
+    }
+
+    /**
+     * Deletes a file.
+     * @param {string} filepath - The path of the folder holding the file ('' for the root).
+     * @param {string} filename - The name of the file.
+     * @param {Object} [options={}] - Additional settings.
+     * @param {string} [options.expectedSha] - Only delete the file if its current blob SHA is this one (alias: `ifMatch`).
+     * @param {string} [options.message] - The message of the simulated commit; other commit options are ignored.
+     * @returns {Promise<Object>} The result of the delete operation.
+     * @throws {ValidationError} If the filename is not provided.
+     * @throws {NotFoundError} If the file does not exist.
+     * @throws {ConflictError} If the file does not match `expectedSha`.
+     */
+    async deleteFile(filepath, filename, options = {}) {
+        if (!filename) {
+            throw new ValidationError('Filename is required!');
+        }
+
+        const filePath = this._path(filepath, filename);
+        try {
+            const buffer = await this._read(filePath);
+            const expectedSha = expectedShaOf(options);
+            if (expectedSha !== undefined) assertSha(filePath, expectedSha, gitBlobSha(buffer));
+
+            await this.store.delete(filePath);
+            return {
+                message: 'File deleted successfully!',
+                data: { content: null, commit: this._commit(commitMessageOf(options, `Delete ${filename}`)) }
+            };
+        } catch (error) {
+            throw toStorageError(error, 'Error deleting file', filePath);
+        }
+    }
+
+    /**
+     * Uploads many files, several at a time, reporting each through the 'progress' event.
+     * @param {Array<Object>} files - The files, each with a `path`, `file` content and optionally `overwrite` and `expectedSha`.
+     * @param {Object} [options={}] - The `concurrency`, `signal` and `onProgress` settings, plus the `upload` options shared by every file.
+     * @returns {Promise<Object>} The `uploaded`, `failed` and `skipped` files, and whether the upload was `cancelled`.
+     * @throws {ValidationError} If a file has no path or content.
+     */
+    uploadMany(files, options = {}) {
+        return bulk.uploadMany(this, files, options);
+    }
+
+    /**
+     * Deletes many files, several at a time, reporting each through the 'progress' event.
+     * @param {Array<string|Object>} paths - The paths of the files, or `{ path, expectedSha }` objects.
+     * @param {Object} [options={}] - The `concurrency`, `signal` and `onProgress` settings, plus the `deleteFile` options shared by every file.
+     * @returns {Promise<Object>} The `deleted`, `failed` and `skipped` files, and whether the deletion was `cancelled`.
+     * @throws {ValidationError} If a path is missing.
+     */
+    deleteMany(paths, options = {}) {
+        return bulk.deleteMany(this, paths, options);
+    }
+}
+
+module.exports = LocalFileStorage;
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Refresh installation tokens this long before GitHub expires them
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Encodes a value as base64url, as used by JSON Web Tokens.
+ * @param {string|Buffer} value - The value to encode.
+ * @returns {string} The encoded value.
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Signs a JSON Web Token that authenticates as a GitHub App.
+ * @param {string|number} appId - The GitHub App ID.
+ * @param {string} privateKey - The App's private key in PEM format.
+ * @returns {string} The signed token, valid for 9 minutes.
+ */
+function createAppJwt(appId, privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        iat: now - 60, // Allow for clock drift between this machine and GitHub
+        exp: now + 9 * 60, // GitHub accepts at most 10 minutes
+        iss: String(appId)
+    }));
+
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey);
+    return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Creates a token provider that authenticates as a GitHub App installation.
+ * Installation tokens are cached and renewed shortly before they expire.
+ * @param {Object} app - The GitHub App settings.
+ * @param {string|number} app.appId - The GitHub App ID.
+ * @param {string} app.privateKey - The App's private key in PEM format.
+ * @param {string|number} [app.installationId] - The installation to act as (looked up from the repository when omitted).
+ * @param {Object} context - Where to request tokens.
+ * @param {string} context.baseUrl - The GitHub API base URL.
+ * @param {string} context.repo - The repository in the format 'owner/repo'.
+ * @param {Function} context.request - Sends an unauthenticated axios request config and resolves to the response.
+ * @returns {Function} An async function returning a token; pass `{ refresh: true }` to skip the cache.
+ */
+function createAppTokenProvider({ appId, privateKey, installationId }, { baseUrl, repo, request }) {
+    let cached = null;
+    let pending = null;
+
+    const fetchToken = async () => {
+        const headers = { Authorization: `Bearer ${createAppJwt(appId, privateKey)}` };
+
+        if (!installationId) {
+            const installation = await request({ method: 'get', url: `${baseUrl}/repos/${repo}/installation`, headers });
+            installationId = installation.data.id;
+        }
+
+        const response = await request({
+            method: 'post',
+            url: `${baseUrl}/app/installations/${installationId}/access_tokens`,
+            headers
+        });
+
+        return { token: response.data.token, expiresAt: new Date(response.data.expires_at).getTime() };
+    };
+
+    return async ({ refresh = false } = {}) => {
+        if (!refresh && cached && cached.expiresAt - REFRESH_MARGIN > Date.now()) {
+            return cached.token;
+        }
+
+        // Share one token request between concurrent callers
+        if (!pending) {
+            pending = fetchToken()
+                .then(result => {
+                    cached = result;
+                    return result.token;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    };
+}
+
+module.exports = { createAppJwt, createAppTokenProvider };
@@ -0,0 +1,190 @@
+const { ConflictError, ValidationError } = require('./errors');
+const { splitPath, stripSlashes, toBase64 } = require('./helpers');
+
+// Files handled at once by the bulk methods when no concurrency is given
+const DEFAULT_CONCURRENCY = 4;
+
+// Parallel commits to one branch race each other, and GitHub answers 409 to the losers
+const CONFLICT_RETRIES = 3;
+
+/**
+ * Runs a task for each item, at most `concurrency` at a time. A failed task does not stop the others
+ * unless `stopOnError` is set. Once `signal` aborts, no new tasks start and the running ones finish.
+ * @param {Array} items - The items to process.
+ * @param {Function} task - Called with each item, returns a promise.
+ * @param {Object} [options={}] - Additional settings.
+ * @param {number} [options.concurrency=4] - How many tasks run at once.
+ * @param {AbortSignal} [options.signal] - Stops starting new tasks once aborted.
+ * @param {boolean} [options.stopOnError=false] - Whether to stop starting new tasks after a failure.
+ * @param {Function} [options.onSettled] - Called with `(item, error, result)` as each task finishes.
+ * @returns {Promise<Object>} The `results` (`{ item, result }`), `failures` (`{ item, error }`), the `skipped` items,
+ *   and whether the run was `cancelled` before every item started.
+ * @throws {ValidationError} If the concurrency is not a positive integer.
+ */
+async function runConcurrently(items, task, { concurrency = DEFAULT_CONCURRENCY, signal, stopOnError = false, onSettled } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError('Concurrency must be a positive integer!');
+    }
+
+    const report = { results: [], failures: [], skipped: [], cancelled: false };
+    const stopped = () => (signal && signal.aborted) || (stopOnError && report.failures.length > 0);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length && !stopped()) {
+            const item = items[next++];
+            let error = null;
+            let result;
+
+            try {
+                result = await task(item);
+                report.results.push({ item, result });
+            } catch (taskError) {
+                error = taskError;
+                report.failures.push({ item, error });
+            }
+
+            if (onSettled) onSettled(item, error, result);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    report.skipped = items.slice(next);
+    report.cancelled = Boolean(signal && signal.aborted && report.skipped.length > 0);
+    return report;
+}
+
+/**
+ * Runs a task for each item of a bulk operation, reporting every finished item through the storage's
+ * 'progress' event and the `onProgress` callback.
+ * @param {EventEmitter} storage - The storage the operation runs on.
+ * @param {string} operation - The operation, reported in the events: 'upload', 'delete' or 'download'.
+ * @param {Array<Object>} items - The items, each with a `path`.
+ * @param {Function} task - Called with each item, returns a promise.
+ * @param {Object} [options={}] - The `concurrency`, `signal` and `stopOnError` settings of `runConcurrently`, and `onProgress`.
+ * @returns {Promise<Object>} The report of `runConcurrently`.
+ */
+function runBulk(storage, operation, items, task, options = {}) {
+    const total = items.length;
+    let done = 0;
+    let failed = 0;
+
+    return runConcurrently(items, task, {
+        concurrency: options.concurrency,
+        signal: options.signal,
+        stopOnError: options.stopOnError,
+        onSettled: (item, error) => {
+            done++;
+            if (error) failed++;
+
+            const event = { operation, path: item.path, error, done, failed, total };
+            storage.emit('progress', event);
+            if (options.onProgress) options.onProgress(event);
+        }
+    });
+}
+
+/**
+ * Calls a write again when it lost a race with another commit to the same branch: a 409 from GitHub, or a branch
+ * that moved during a Git Data API commit. Other conflicts, such as a mismatching expected SHA, are not retried.
+ * @param {Function} write - Performs the write, returns a promise.
+ * @returns {Promise<*>} The result of the write.
+ */
+async function retryConflicts(write) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await write();
+        } catch (error) {
+            if (!(error instanceof ConflictError) || !error.retryable || attempt > CONFLICT_RETRIES) throw error;
+
+            // Spread the retries out so the racing writers do not collide again
+            await new Promise(resolve => setTimeout(resolve, Math.random() * 250 * attempt));
+        }
+    }
+}
+
+/**
+ * Summarizes a bulk report in the shape returned by `uploadMany` and `deleteMany`.
+ * @param {Object} report - The report of `runConcurrently`.
+ * @param {string} key - The name of the list of successful files, e.g. 'uploaded'.
+ * @param {string} verb - The past tense used in the message, e.g. 'uploaded'.
+ * @returns {Object} The `message`, the successful files, `failed`, `skipped` and `cancelled`.
+ */
+function summarize(report, key, verb) {
+    const total = report.results.length + report.failures.length + report.skipped.length;
+
+    let message = `Files ${verb} successfully!`;
+    if (report.cancelled) message = `Cancelled after ${report.results.length} of ${total} files were ${verb}!`;
+    else if (report.failures.length > 0) message = `${report.failures.length} of ${total} files could not be ${verb}!`;
+
+    return {
+        message,
+        [key]: report.results.map(({ item, result }) => ({ path: item.path, ...result })),
+        failed: report.failures.map(({ item, error }) => ({ path: item.path, error })),
+        skipped: report.skipped.map(item => item.path),
+        cancelled: report.cancelled
+    };
+}
+
+/**
+ * Uploads many files, several at a time, with `storage.upload`. A failed file does not stop the others.
+ * @param {Object} storage - The storage to upload to.
+ * @param {Array<Object>} files - The files, each with a `path` and `file` content as accepted by `upload`,
+ *   and optionally `overwrite` (default true) and `expectedSha` (alias `ifMatch`).
+ * @param {Object} [options={}] - The bulk settings (`concurrency`, `signal`, `onProgress`) and the `upload` options shared by every file.
+ * @returns {Promise<Object>} The `message`, and the `uploaded`, `failed` and `skipped` files.
+ * @throws {ValidationError} If a file has no path or content.
+ */
+async function uploadMany(storage, files, options = {}) {
+    const { concurrency, signal, onProgress, ...uploadOptions } = options;
+
+    if (!Array.isArray(files)) throw new ValidationError('Files must be an array!');
+    const items = files.map(entry => {
+        if (!entry || !entry.path || !entry.file) {
+            throw new ValidationError('Each file needs a path and content!');
+        }
+        return { ...entry, path: stripSlashes(entry.path) };
+    });
+
+    const report = await runBulk(storage, 'upload', items, async item => {
+        // Streams can only be read once, so read the content before any retry
+        const content = await toBase64(item.file);
+        const [filepath, filename] = splitPath(item.path);
+        const fileOptions = { ...uploadOptions, expectedSha: item.expectedSha, ifMatch: item.ifMatch };
+
+        return retryConflicts(() => storage.upload(content, filepath, filename, item.overwrite !== false, fileOptions));
+    }, { concurrency, signal, onProgress });
+
+    return summarize(report, 'uploaded', 'uploaded');
+}
+
+/**
+ * Deletes many files, several at a time, with `storage.deleteFile`. A failed file does not stop the others.
+ * @param {Object} storage - The storage to delete from.
+ * @param {Array<string|Object>} paths - The paths of the files, or `{ path, expectedSha }` objects.
+ * @param {Object} [options={}] - The bulk settings (`concurrency`, `signal`, `onProgress`) and the `deleteFile` options shared by every file.
+ * @returns {Promise<Object>} The `message`, and the `deleted`, `failed` and `skipped` files.
+ * @throws {ValidationError} If a path is missing.
+ */
+async function deleteMany(storage, paths, options = {}) {
+    const { concurrency, signal, onProgress, ...deleteOptions } = options;
+
+    if (!Array.isArray(paths)) throw new ValidationError('Paths must be an array!');
+    const items = paths.map(entry => {
+        const item = typeof entry === 'string' ? { path: entry } : { ...entry };
+        if (!item.path) throw new ValidationError('Each file needs a path!');
+        return { ...item, path: stripSlashes(item.path) };
+    });
+
+    const report = await runBulk(storage, 'delete', items, item => {
+        const [filepath, filename] = splitPath(item.path);
+        const fileOptions = { ...deleteOptions, expectedSha: item.expectedSha, ifMatch: item.ifMatch };
+
+        return retryConflicts(() => storage.deleteFile(filepath, filename, fileOptions));
+    }, { concurrency, signal, onProgress });
+
+    return summarize(report, 'deleted', 'deleted');
+}
+
+module.exports = { DEFAULT_CONCURRENCY, runConcurrently, runBulk, uploadMany, deleteMany };
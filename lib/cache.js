@@ -0,0 +1,74 @@
+// Entries kept by the built-in cache when no limit is given
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Largest base64 `content` of a file or blob answer that is cached (1 MB); bigger bodies are fetched each time
+const DEFAULT_MAX_CONTENT_SIZE = 1024 * 1024;
+
+/**
+ * Creates an in-memory cache that drops the least recently used entry once it is full.
+ * Custom stores (e.g. Redis-backed) provide the same methods, which may also return promises.
+ * @param {Object} [options={}] - The cache settings.
+ * @param {number} [options.maxEntries=500] - The number of entries to keep.
+ * @returns {Object} The store, with `get(key)`, `set(key, entry)`, `delete(key)` and `keys()`.
+ */
+function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            if (!entries.has(key)) return undefined;
+
+            // Re-insert to mark the entry as the most recently used
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+
+            // Maps iterate in insertion order, so the first key is the least recently used
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        keys() {
+            return [...entries.keys()];
+        }
+    };
+}
+
+/**
+ * Checks whether a response body is small enough to cache. Only file and blob answers carry large bodies,
+ * in their base64 `content`, so that is what is measured.
+ * @param {*} data - The parsed response body.
+ * @param {number} maxContentSize - The largest `content` length to cache.
+ * @returns {boolean} Whether the body may be cached.
+ */
+function isCacheable(data, maxContentSize) {
+    return !(data && typeof data.content === 'string' && data.content.length > maxContentSize);
+}
+
+/**
+ * Builds the cache key of a GET request from its URL, query parameters and Accept header.
+ * Repeated slashes are collapsed, so 'contents//a.txt' and 'contents/a.txt' share an entry.
+ * @param {Object} config - The axios request config.
+ * @returns {string} The key, starting with the URL followed by '?'.
+ */
+function cacheKey(config) {
+    const url = config.url.replace(/([^:/])\/{2,}/g, '$1/').replace(/\/+$/, '');
+    const params = Object.keys(config.params || {})
+        .filter(name => config.params[name] !== undefined && config.params[name] !== null)
+        .sort()
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(config.params[name])}`)
+        .join('&');
+    const accept = (config.headers && config.headers.Accept) || '';
+
+    return `${url}?${params}#${accept}`;
+}
+
+module.exports = { DEFAULT_MAX_ENTRIES, DEFAULT_MAX_CONTENT_SIZE, createMemoryCache, isCacheable, cacheKey };
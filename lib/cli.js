@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const GitHubFileStorage = require('./GitHubFileStorage');
+const { splitPath } = require('./helpers');
+const { version } = require('../package.json');
+const {
+    NotFoundError,
+    ConflictError,
+    AuthError,
+    RateLimitError,
+    ValidationError
+} = require('./errors');
+
+const pipeline = util.promisify(stream.pipeline);
+
+const USAGE = `Usage: ghfm <command> [options]
+
+Commands:
+  ls [path] [-r]                 List a folder; -r lists all files below it
+  get <remote> [local]           Download a file ('-' writes to stdout)
+  put <local> [remote]           Upload a file (a remote ending in '/' keeps the local name)
+  rm <remote> [-r]               Delete a file; -r deletes a folder in one commit
+  mv <from> <to>                 Move or rename a file or folder
+  zip [remote] [dir]             Download a folder as an archive into dir
+  sync up <local> <remote>       Mirror a local folder to the repository
+  sync down <remote> <local>     Mirror a repository folder to a local folder
+
+Options:
+  --repo <owner/repo>            Repository (env: GHFM_REPO or GITHUB_REPOSITORY)
+  --token <token>                Access token (env: GHFM_TOKEN, GITHUB_TOKEN or GH_TOKEN)
+  -b, --branch <name>            Branch, tag or commit (env: GHFM_BRANCH)
+  --base-url <url>               API root for GitHub Enterprise Server (env: GHFM_BASE_URL or GITHUB_API_URL)
+  -m, --message <text>           Commit message (put, rm, mv, sync up)
+  --author <"Name <email>">      Commit author (default: the token owner)
+  --co-author <"Name <email>">   Add a Co-authored-by trailer (repeatable)
+  --sign-off                     Add a Signed-off-by trailer for the author
+  --overwrite                    mv: replace existing files at the destination
+  --no-overwrite                 put: fail if the file already exists
+  --format <zip|tar|tar.gz>      zip: archive format
+  -o, --output <name>            zip: archive file name
+  --include <glob>               ls -r, zip: only matching files (repeatable)
+  --exclude <glob>               ls -r, zip: skip matching files (repeatable)
+  --ignore <pattern>             sync: .gitignore-style pattern to skip (repeatable)
+  --delete                       sync: delete files missing from the source
+  --dry-run                      sync: only show what would change
+  --json                         Print results as JSON
+  -q, --quiet                    No progress display
+  -h, --help                     Show this help
+  -v, --version                  Show the version
+
+Exit codes: 0 success, 1 other error, 2 invalid usage, 3 not found, 4 conflict, 5 authentication, 6 rate limit.
+`;
+
+// Supported options: value-taking ones are strings, `multiple` ones collect every occurrence
+const OPTIONS = {
+    'repo': { type: 'string' },
+    'token': { type: 'string' },
+    'branch': { type: 'string', short: 'b' },
+    'base-url': { type: 'string' },
+    'message': { type: 'string', short: 'm' },
+    'author': { type: 'string' },
+    'co-author': { type: 'string', multiple: true },
+    'sign-off': { type: 'boolean' },
+    'overwrite': { type: 'boolean' },
+    'no-overwrite': { type: 'boolean' },
+    'format': { type: 'string' },
+    'output': { type: 'string', short: 'o' },
+    'include': { type: 'string', multiple: true },
+    'exclude': { type: 'string', multiple: true },
+    'ignore': { type: 'string', multiple: true },
+    'delete': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    'recursive': { type: 'boolean', short: 'r' },
+    'json': { type: 'boolean' },
+    'quiet': { type: 'boolean', short: 'q' },
+    'help': { type: 'boolean', short: 'h' },
+    'version': { type: 'boolean', short: 'v' }
+};
+
+// Error classes mapped to process exit codes, most specific first
+const EXIT_CODES = [
+    [ValidationError, 2],
+    [NotFoundError, 3],
+    [ConflictError, 4],
+    [AuthError, 5],
+    [RateLimitError, 6]
+];
+
+/**
+ * Splits command-line arguments into options and positional arguments.
+ * @param {Array<string>} argv - The arguments, without the node and script paths.
+ * @returns {Object} The `options` by long name and the `positionals`.
+ * @throws {ValidationError} If an option is unknown or misses its value.
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+    const shortNames = {};
+    Object.keys(OPTIONS).forEach(name => {
+        if (OPTIONS[name].short) shortNames[OPTIONS[name].short] = name;
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        // --name, --name=value, -x or a group of short flags such as -rq
+        let names;
+        let inlineValue;
+        if (arg.startsWith('--')) {
+            const separator = arg.indexOf('=');
+            names = [separator === -1 ? arg.slice(2) : arg.slice(2, separator)];
+            inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+        } else {
+            names = arg.slice(1).split('').map(letter => shortNames[letter] || `-${letter}`);
+        }
+
+        for (const name of names) {
+            const spec = OPTIONS[name];
+            if (!spec) throw new ValidationError(`Unknown option: ${name.startsWith('-') ? name : `--${name}`}`);
+
+            if (spec.type === 'boolean') {
+                options[name] = true;
+                continue;
+            }
+
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new ValidationError(`Option --${name} needs a value`);
+            options[name] = spec.multiple ? (options[name] || []).concat(value) : value;
+        }
+    }
+
+    return { options, positionals };
+}
+
+/**
+ * Picks the exit code for an error.
+ * @param {Error} error - The error that ended the command.
+ * @returns {number} The exit code.
+ */
+function exitCodeFor(error) {
+    const match = EXIT_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+    return match ? match[1] : 1;
+}
+
+/**
+ * Creates a one-line progress display that rewrites itself on a terminal and stays silent elsewhere.
+ * @param {Writable} output - Where to draw the progress, normally stderr.
+ * @param {boolean} enabled - Whether to draw anything.
+ * @returns {Object} The display, with `update(text)` and `clear()`.
+ */
+function createProgress(output, enabled) {
+    let shown = false;
+
+    return {
+        update(text) {
+            if (!enabled) return;
+            output.write(`\r\x1b[K${text}`);
+            shown = true;
+        },
+        clear() {
+            if (!shown) return;
+            output.write('\r\x1b[K');
+            shown = false;
+        }
+    };
+}
+
+/**
+ * Formats a byte count for the progress display.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The size, e.g. '1.5 MB'.
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+/**
+ * Creates the storage from options and environment variables.
+ * @param {Object} options - The parsed command-line options.
+ * @param {Object} env - The environment variables.
+ * @param {Function} [adapter] - An axios adapter to send the requests through instead of the network.
+ * @returns {GitHubFileStorage} The storage.
+ * @throws {ValidationError} If the repository or token is missing, or an author is not in 'Name <email>' form.
+ */
+function createStorage(options, env, adapter) {
+    const repo = options.repo || env.GHFM_REPO || env.GITHUB_REPOSITORY;
+    const token = options.token || env.GHFM_TOKEN || env.GITHUB_TOKEN || env.GH_TOKEN;
+
+    if (!repo) throw new ValidationError('No repository given: use --repo or set GHFM_REPO');
+    if (!token) throw new ValidationError('No token given: use --token or set GHFM_TOKEN');
+
+    return new GitHubFileStorage(repo, token, {
+        branch: options.branch || env.GHFM_BRANCH,
+        baseUrl: options['base-url'] || env.GHFM_BASE_URL || env.GITHUB_API_URL,
+        author: options.author,
+        coAuthors: options['co-author'],
+        signOff: options['sign-off'],
+        adapter
+    });
+}
+
+// Each command receives the storage, its positional arguments, the options and the I/O context,
+// and resolves to `{ result, text }`: the JSON result and the lines to print otherwise
+const COMMANDS = {
+    async ls(storage, [remote = ''], options) {
+        if (options.recursive) {
+            const result = await storage.listAllFiles(remote, { include: options.include, exclude: options.exclude });
+            return { result: result.files, text: result.files.map(file => file.path) };
+        }
+
+        const result = await storage.listFiles(remote);
+        return { result: result.files, text: result.files.map(file => (file.type === 'dir' ? `${file.path}/` : file.path)) };
+    },
+
+    async get(storage, [remote, local], options, { stdout, progress }) {
+        if (!remote) throw new ValidationError('Usage: ghfm get <remote> [local]');
+
+        const toStdout = local === '-';
+        const destination = toStdout ? null : local || path.posix.basename(remote);
+        if (destination) await fs.promises.mkdir(path.dirname(path.resolve(destination)), { recursive: true });
+
+        let received = 0;
+        const counter = new stream.PassThrough();
+        counter.on('data', chunk => {
+            received += chunk.length;
+            progress.update(`Downloading ${remote}: ${formatBytes(received)}`);
+        });
+
+        const input = await storage.createReadStream(remote);
+        await pipeline(input, counter, toStdout ? stdout : fs.createWriteStream(destination));
+
+        if (toStdout) return { result: null, text: [] };
+        return {
+            result: { message: 'File downloaded successfully!', path: destination, size: received },
+            text: [`Downloaded ${remote} to ${destination} (${formatBytes(received)})`]
+        };
+    },
+
+    async put(storage, [local, remote], options, { progress }) {
+        if (!local) throw new ValidationError('Usage: ghfm put <local> [remote]');
+
+        const target = !remote || remote.endsWith('/') ? `${remote || ''}${path.basename(local)}` : remote;
+        const [directory, filename] = splitPath(target);
+
+        progress.update(`Uploading ${local} to ${target}`);
+        const overwrite = !options['no-overwrite'];
+        const result = await storage.upload({ path: local }, directory, filename, overwrite, { errorIfExists: !overwrite, message: options.message });
+        return { result, text: [`${result.message.replace(/!$/, '')}: ${target}`] };
+    },
+
+    async rm(storage, [remote], options, { progress }) {
+        if (!remote) throw new ValidationError('Usage: ghfm rm <remote> [-r]');
+        const [directory, filename] = splitPath(remote);
+
+        if (options.recursive) {
+            progress.update(`Listing ${remote}`);
+            const { files } = await storage.listAllFiles(remote);
+            const paths = files.map(file => file.path);
+            if (!paths.length) throw new NotFoundError(`No files found in ${remote}`, { path: remote });
+
+            progress.update(`Deleting ${paths.length} files`);
+            const result = await storage.commitFiles({ delete: paths, message: options.message || `Delete ${remote}` });
+            return { result: { ...result, files: paths }, text: paths.map(file => `Deleted ${file}`) };
+        }
+
+        progress.update(`Deleting ${remote}`);
+        const result = await storage.deleteFile(directory, filename, { message: options.message });
+        return { result, text: [`Deleted ${remote}`] };
+    },
+
+    async mv(storage, [from, to], options, { progress }) {
+        if (!from || !to) throw new ValidationError('Usage: ghfm mv <from> <to>');
+
+        progress.update(`Moving ${from} to ${to}`);
+        const result = await storage.move(from, to, { overwrite: options.overwrite, message: options.message });
+        return { result, text: result.data.files.map(file => `${file.from} -> ${file.to}`) };
+    },
+
+    async zip(storage, [remote = '', directory = '.'], options, { progress }) {
+        const label = `Archiving ${remote || 'repository'}`;
+        progress.update(label);
+        const archivePath = await storage.downloadAll(remote, directory, {
+            format: options.format,
+            filename: options.output,
+            include: options.include,
+            exclude: options.exclude,
+            onProgress: ({ done, total }) => progress.update(`${label}: ${done}/${total} files`)
+        });
+        return { result: { message: 'Archive created successfully!', path: archivePath }, text: [archivePath] };
+    },
+
+    async sync(storage, [direction, first, second], options, { progress }) {
+        if (!['up', 'down'].includes(direction) || !first || !second) {
+            throw new ValidationError('Usage: ghfm sync up <local> <remote> | ghfm sync down <remote> <local>');
+        }
+
+        const syncOptions = {
+            delete: options.delete,
+            dryRun: options['dry-run'],
+            ignore: options.ignore,
+            message: options.message
+        };
+
+        const label = `Syncing ${first} to ${second}`;
+        progress.update(label);
+        const result = direction === 'up'
+            ? await storage.syncUp(first, second, syncOptions)
+            : await storage.syncDown(first, second, { ...syncOptions, onProgress: ({ done, total }) => progress.update(`${label}: ${done}/${total} files`) });
+
+        const text = [
+            ...result.added.map(file => `+ ${file}`),
+            ...result.changed.map(file => `~ ${file}`),
+            ...result.deleted.map(file => `- ${file}`),
+            `${options['dry-run'] ? 'Dry run: ' : ''}${result.added.length} added, ${result.changed.length} changed, `
+                + `${result.deleted.length} deleted, ${result.unchanged} unchanged`
+        ];
+        return { result, text };
+    }
+};
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv - The arguments, without the node and script paths.
+ * @param {Object} [io={}] - Where to read settings and write output.
+ * @param {Object} [io.env=process.env] - The environment variables.
+ * @param {Writable} [io.stdout=process.stdout] - Where results go.
+ * @param {Writable} [io.stderr=process.stderr] - Where errors and progress go.
+ * @param {Function} [io.adapter] - An axios adapter to answer GitHub requests, e.g. a local stand-in for tests.
+ * @returns {Promise<number>} The exit code.
+ */
+async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, adapter } = {}) {
+    let json = argv.includes('--json');
+    const progress = createProgress(stderr, Boolean(stderr.isTTY) && !json && !argv.includes('-q') && !argv.includes('--quiet'));
+
+    try {
+        const { options, positionals } = parseArgs(argv);
+        json = Boolean(options.json);
+
+        if (options.version) {
+            stdout.write(`${version}\n`);
+            return 0;
+        }
+
+        const [name, ...args] = positionals;
+        if (options.help || !name) {
+            (options.help ? stdout : stderr).write(USAGE);
+            return options.help ? 0 : 2;
+        }
+
+        const command = COMMANDS[name];
+        if (!command) throw new ValidationError(`Unknown command: ${name}`);
+
+        const storage = createStorage(options, env, adapter);
+        storage.on('retry', ({ delay }) => progress.update(`Retrying in ${Math.ceil(delay / 1000)}s`));
+
+        const { result, text } = await command(storage, args, options, { stdout, progress });
+        progress.clear();
+
+        if (json && result !== null) {
+            stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        } else if (!json && text.length) {
+            stdout.write(`${text.join('\n')}\n`);
+        }
+        return 0;
+    } catch (error) {
+        progress.clear();
+
+        if (json) {
+            stderr.write(`${JSON.stringify({
+                error: { name: error.name, message: error.message, status: error.status || null, path: error.path || null }
+            }, null, 2)}\n`);
+        } else {
+            stderr.write(`ghfm: ${error.message}\n`);
+        }
+        return exitCodeFor(error);
+    }
+}
+
+module.exports = { run, parseArgs, exitCodeFor };
@@ -0,0 +1,231 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { gitBlobSha } = require('./sync');
+const { NotFoundError, ConflictError, ValidationError } = require('./errors');
+
+// The methods every storage backend provides, with the same arguments and return shapes
+const STORAGE_METHODS = [
+    'upload',
+    'listFiles',
+    'listAllFiles',
+    'download',
+    'getContentBase64',
+    'downloadAll',
+    'deleteFile',
+    'uploadMany',
+    'deleteMany'
+];
+
+/**
+ * Defines the contract tests every storage backend must pass, using the test runner's `describe` and `it`.
+ * Works with `node:test`, Mocha and Jest. Each test writes below its own folder, so a real repository
+ * can be used; point GitHubFileStorage at a scratch branch, as the files are not cleaned up on failure.
+ * @param {string} name - The name of the test group, e.g. 'LocalFileStorage'.
+ * @param {Function} createStorage - Returns (or resolves to) the storage to test; called once per test.
+ * @param {Object} [options={}] - Additional settings.
+ * @param {Function} [options.describe=global.describe] - The runner's `describe`.
+ * @param {Function} [options.it=global.it] - The runner's `it`.
+ * @param {string} [options.prefix='contract-tests'] - The folder the tests write below.
+ * @throws {ValidationError} If no test runner functions are available.
+ */
+function runContractTests(name, createStorage, options = {}) {
+    const describe = options.describe || global.describe;
+    const it = options.it || global.it;
+    const prefix = options.prefix || 'contract-tests';
+
+    if (typeof describe !== 'function' || typeof it !== 'function') {
+        throw new ValidationError('Pass the test runner\'s describe and it functions, e.g. require(\'node:test\')');
+    }
+
+    // Runs a test against a fresh storage and a folder of its own
+    const test = (title, body) => it(title, async () => {
+        const storage = await createStorage();
+        const folder = `${prefix}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await body(storage, folder);
+    });
+
+    const text = value => Buffer.from(value).toString('base64');
+    const read = async (storage, folder, filename) => Buffer.from((await storage.download(folder, filename)).data, 'base64').toString();
+
+    describe(`${name} storage contract`, () => {
+        test('exposes every storage method', async storage => {
+            for (const method of STORAGE_METHODS) {
+                assert.strictEqual(typeof storage[method], 'function', `${method} is missing`);
+            }
+        });
+
+        test('uploads a file and downloads the same content', async (storage, folder) => {
+            const result = await storage.upload(text('hello'), folder, 'hello.txt');
+
+            assert.strictEqual(result.message, 'File uploaded successfully!');
+            assert.strictEqual(result.data.content.path, `${folder}/hello.txt`);
+            assert.strictEqual(result.data.content.sha, gitBlobSha(Buffer.from('hello')));
+            assert.ok(result.data.commit.sha);
+            assert.strictEqual(await read(storage, folder, 'hello.txt'), 'hello');
+        });
+
+        test('accepts Buffers, data URIs and local files', async (storage, folder) => {
+            const localFile = path.join(os.tmpdir(), `contract-${crypto.randomBytes(4).toString('hex')}.txt`);
+            await fs.promises.writeFile(localFile, 'from disk');
+
+            try {
+                await storage.upload(Buffer.from('from buffer'), folder, 'buffer.txt');
+                await storage.upload(`data:text/plain;base64,${text('from data uri')}`, folder, 'uri.txt');
+                await storage.upload({ path: localFile }, folder, 'disk.txt');
+            } finally {
+                await fs.promises.unlink(localFile);
+            }
+
+            assert.strictEqual(await read(storage, folder, 'buffer.txt'), 'from buffer');
+            assert.strictEqual(await read(storage, folder, 'uri.txt'), 'from data uri');
+            assert.strictEqual(await read(storage, folder, 'disk.txt'), 'from disk');
+        });
+
+        test('updates or keeps existing files depending on overwrite', async (storage, folder) => {
+            await storage.upload(text('v1'), folder, 'file.txt');
+
+            const kept = await storage.upload(text('v2'), folder, 'file.txt', false);
+            assert.deepStrictEqual(kept, { message: 'File already exists!', data: null });
+            assert.strictEqual(await read(storage, folder, 'file.txt'), 'v1');
+
+            await assert.rejects(storage.upload(text('v2'), folder, 'file.txt', false, { errorIfExists: true }), ConflictError);
+
+            const updated = await storage.upload(text('v2'), folder, 'file.txt', true);
+            assert.strictEqual(updated.message, 'File updated successfully!');
+            assert.strictEqual(await read(storage, folder, 'file.txt'), 'v2');
+        });
+
+        test('writes only when the expected SHA matches', async (storage, folder) => {
+            const { data } = await storage.upload(text('v1'), folder, 'file.txt');
+
+            await assert.rejects(storage.upload(text('v2'), folder, 'file.txt', true, { expectedSha: 'stale' }), ConflictError);
+            await assert.rejects(storage.upload(text('v2'), folder, 'file.txt', true, { expectedSha: null }), ConflictError);
+            await storage.upload(text('v2'), folder, 'file.txt', true, { expectedSha: data.content.sha });
+            assert.strictEqual(await read(storage, folder, 'file.txt'), 'v2');
+        });
+
+        test('returns the same upload shape for files above the large file threshold', async (storage, folder) => {
+            const content = crypto.randomBytes(1100 * 1024); // Over GitHubFileStorage's default 1 MB threshold
+            const { data } = await storage.upload(content.toString('base64'), folder, 'large.bin');
+
+            assert.strictEqual(data.content.path, `${folder}/large.bin`);
+            assert.strictEqual(data.content.sha, gitBlobSha(content));
+            assert.strictEqual(data.content.size, content.length);
+            assert.strictEqual(typeof data.commit.sha, 'string');
+
+            const next = crypto.randomBytes(1100 * 1024);
+            await storage.upload(next.toString('base64'), folder, 'large.bin', true, { expectedSha: data.content.sha });
+            assert.ok(Buffer.from((await storage.download(folder, 'large.bin')).data, 'base64').equals(next));
+        });
+
+        test('lists a folder with its files and subfolders', async (storage, folder) => {
+            await storage.upload(text('a'), folder, 'a.txt');
+            await storage.upload(text('b'), `${folder}/sub`, 'b.txt');
+
+            const { message, files } = await storage.listFiles(folder);
+            assert.strictEqual(message, 'Files retrieved successfully!');
+
+            const byName = Object.fromEntries(files.map(file => [file.name, file]));
+            assert.deepStrictEqual(Object.keys(byName).sort(), ['a.txt', 'sub']);
+            assert.strictEqual(byName['a.txt'].type, 'file');
+            assert.strictEqual(byName['a.txt'].path, `${folder}/a.txt`);
+            assert.strictEqual(byName['a.txt'].sha, gitBlobSha(Buffer.from('a')));
+            assert.strictEqual(byName.sub.type, 'dir');
+        });
+
+        test('lists all files below a folder, with filters', async (storage, folder) => {
+            await storage.upload(text('a'), folder, 'a.txt');
+            await storage.upload(text('b'), `${folder}/sub`, 'b.md');
+            await storage.upload(text('c'), `${folder}/sub/deep`, 'c.txt');
+
+            const all = await storage.listAllFiles(folder);
+            assert.deepStrictEqual(
+                all.files.map(file => file.path).sort(),
+                [`${folder}/a.txt`, `${folder}/sub/b.md`, `${folder}/sub/deep/c.txt`]
+            );
+            assert.ok(all.files.every(file => file.type === 'file' && file.size === 1 && file.sha));
+
+            const onlyText = await storage.listAllFiles(folder, { include: '**/*.txt' });
+            assert.deepStrictEqual(onlyText.files.map(file => file.name).sort(), ['a.txt', 'c.txt']);
+
+            const shallow = await storage.listAllFiles(folder, { maxDepth: 1 });
+            assert.deepStrictEqual(shallow.files.map(file => file.name), ['a.txt']);
+        });
+
+        test('reads file content as base64', async (storage, folder) => {
+            await storage.upload(text('content'), folder, 'file.txt');
+
+            const result = await storage.getContentBase64(folder, 'file.txt');
+            assert.strictEqual(result.filename, 'file.txt');
+            assert.strictEqual(Buffer.from(result.content, 'base64').toString(), 'content');
+        });
+
+        test('packages a folder into an archive', async (storage, folder) => {
+            await storage.upload(text('a'), folder, 'a.txt');
+            await storage.upload(text('b'), `${folder}/sub`, 'b.txt');
+
+            const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'contract-'));
+            try {
+                const archivePath = await storage.downloadAll(folder, directory, { filename: 'files.zip' });
+                assert.strictEqual(archivePath, path.join(directory, 'files.zip'));
+
+                const archive = await fs.promises.readFile(archivePath);
+                assert.strictEqual(archive.slice(0, 2).toString(), 'PK');
+                assert.ok(archive.includes('a.txt') && archive.includes('sub/b.txt'));
+            } finally {
+                await fs.promises.rm(directory, { recursive: true, force: true });
+            }
+        });
+
+        test('deletes a file', async (storage, folder) => {
+            await storage.upload(text('a'), folder, 'a.txt');
+            const { data } = await storage.upload(text('b'), folder, 'b.txt');
+
+            await assert.rejects(storage.deleteFile(folder, 'b.txt', { expectedSha: 'stale' }), ConflictError);
+            const result = await storage.deleteFile(folder, 'b.txt', { expectedSha: data.content.sha });
+            assert.strictEqual(result.message, 'File deleted successfully!');
+
+            await assert.rejects(storage.download(folder, 'b.txt'), NotFoundError);
+            assert.deepStrictEqual((await storage.listFiles(folder)).files.map(file => file.name), ['a.txt']);
+        });
+
+        test('uploads and deletes many files, reporting each failure', async (storage, folder) => {
+            const uploaded = await storage.uploadMany([
+                { path: `${folder}/a.txt`, file: text('a') },
+                { path: `${folder}/sub/b.txt`, file: Buffer.from('b') },
+                { path: `${folder}/c.txt`, file: text('c'), expectedSha: 'stale' }
+            ], { concurrency: 2 });
+
+            assert.deepStrictEqual(uploaded.uploaded.map(file => file.path).sort(), [`${folder}/a.txt`, `${folder}/sub/b.txt`]);
+            assert.deepStrictEqual(uploaded.failed.map(file => file.path), [`${folder}/c.txt`]);
+            assert.ok(uploaded.failed[0].error instanceof ConflictError);
+            assert.strictEqual(await read(storage, `${folder}/sub`, 'b.txt'), 'b');
+
+            const deleted = await storage.deleteMany([`${folder}/a.txt`, `${folder}/missing.txt`]);
+            assert.deepStrictEqual(deleted.deleted.map(file => file.path), [`${folder}/a.txt`]);
+            assert.ok(deleted.failed[0].error instanceof NotFoundError);
+            assert.deepStrictEqual(deleted.skipped, []);
+            await assert.rejects(storage.download(folder, 'a.txt'), NotFoundError);
+        });
+
+        test('reports missing files and folders as NotFoundError', async (storage, folder) => {
+            await assert.rejects(storage.download(folder, 'missing.txt'), NotFoundError);
+            await assert.rejects(storage.getContentBase64(folder, 'missing.txt'), NotFoundError);
+            await assert.rejects(storage.deleteFile(folder, 'missing.txt'), NotFoundError);
+            await assert.rejects(storage.listFiles(`${folder}/missing`), NotFoundError);
+            await assert.rejects(storage.listAllFiles(`${folder}/missing`), NotFoundError);
+        });
+
+        test('rejects missing arguments with ValidationError', async (storage, folder) => {
+            await assert.rejects(storage.upload(null, folder, 'file.txt'), ValidationError);
+            await assert.rejects(storage.download(folder), ValidationError);
+            await assert.rejects(storage.getContentBase64(undefined, 'file.txt'), ValidationError);
+            await assert.rejects(storage.deleteFile(folder), ValidationError);
+        });
+    });
+}
+
+module.exports = { STORAGE_METHODS, runContractTests };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { ValidationError, DecryptionError } = require('./errors');
+
+// Encrypted files start with this marker and a format version byte
+const MAGIC = Buffer.from('GHFMENC');
+const VERSION = 1;
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Where the map of encrypted filenames is stored when no other path is given
+const DEFAULT_MAPPING_FILE = '.ghfm-names';
+
+/**
+ * Converts a key to a 32-byte Buffer.
+ * @param {Buffer|string} key - The key as a Buffer, or a hex or base64 string.
+ * @returns {Buffer} The key.
+ * @throws {ValidationError} If the key is not 32 bytes long.
+ */
+function toKey(key) {
+    let buffer = key;
+    if (typeof key === 'string') {
+        buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+    }
+
+    if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+        throw new ValidationError(`Encryption keys must be ${KEY_LENGTH} bytes, as a Buffer or a hex or base64 string`);
+    }
+    return buffer;
+}
+
+/**
+ * Builds the header written in front of the encrypted content:
+ * the marker, the version, the key ID length and the key ID, then the IV.
+ * @param {string} keyId - The ID of the key the content is encrypted with.
+ * @param {Buffer} iv - The initialization vector.
+ * @returns {Buffer} The header.
+ */
+function createHeader(keyId, iv) {
+    const id = Buffer.from(keyId, 'utf8');
+    if (id.length === 0 || id.length > 255) {
+        throw new ValidationError('Key IDs must be between 1 and 255 bytes long');
+    }
+
+    return Buffer.concat([MAGIC, Buffer.from([VERSION, id.length]), id, iv]);
+}
+
+/**
+ * Reads the header of encrypted content.
+ * @param {Buffer} buffer - The content as stored in the repository.
+ * @returns {Object|null} The `keyId`, `iv` and header `length`, or null if the content is not encrypted.
+ */
+function parseHeader(buffer) {
+    if (buffer.length < MAGIC.length + 2 || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+    if (buffer[MAGIC.length] !== VERSION) return null;
+
+    const idLength = buffer[MAGIC.length + 1];
+    const idStart = MAGIC.length + 2;
+    const length = idStart + idLength + IV_LENGTH;
+    if (buffer.length < length + TAG_LENGTH) return null;
+
+    return {
+        keyId: buffer.subarray(idStart, idStart + idLength).toString('utf8'),
+        iv: buffer.subarray(idStart + idLength, length),
+        length
+    };
+}
+
+/**
+ * Encrypts content with AES-256-GCM. The header is authenticated too, so the key ID cannot be swapped.
+ * @param {Buffer} buffer - The content to encrypt.
+ * @param {Buffer} key - The 32-byte key.
+ * @param {string} keyId - The ID stored in the header, used to find the key again when decrypting.
+ * @returns {Buffer} The header, the encrypted content and the authentication tag.
+ */
+function encrypt(buffer, key, keyId) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const header = createHeader(keyId, iv);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(header);
+    const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return Buffer.concat([header, encrypted, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts content written by `encrypt`.
+ * @param {Buffer} buffer - The encrypted content, including its header.
+ * @param {Buffer} key - The 32-byte key named in the header.
+ * @returns {Buffer} The original content.
+ * @throws {DecryptionError} If the content is not encrypted, or the key is wrong or the content was modified.
+ */
+function decrypt(buffer, key) {
+    const header = parseHeader(buffer);
+    if (!header) throw new DecryptionError('Content is not encrypted');
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, header.iv);
+    decipher.setAAD(buffer.subarray(0, header.length));
+    decipher.setAuthTag(buffer.subarray(buffer.length - TAG_LENGTH));
+
+    try {
+        return Buffer.concat([decipher.update(buffer.subarray(header.length, buffer.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+        throw new DecryptionError(`Cannot decrypt content with key '${header.keyId}': wrong key or modified content`, { cause: error });
+    }
+}
+
+/**
+ * Normalizes the `encryption` option of GitHubFileStorage.
+ * @param {Object} options - The encryption settings.
+ * @param {Buffer|string} [options.key] - A single key.
+ * @param {Object} [options.keys] - Keys by key ID; keeps old keys available for reading after a rotation.
+ * @param {Function} [options.keyProvider] - Called with a key ID, returns (or resolves to) the key.
+ * @param {string} [options.keyId='default'] - The ID of the key new content is encrypted with.
+ * @param {boolean} [options.filenames=false] - Whether to replace filenames with random names.
+ * @param {string} [options.mappingFile='.ghfm-names'] - The repository path of the encrypted filename map.
+ * @returns {Object} The `keyId`, `filenames` and `mappingFile` settings and a `getKey(keyId)` function.
+ * @throws {ValidationError} If no key is given.
+ */
+function createEncryption(options) {
+    const keyId = options.keyId || 'default';
+
+    // Fixed keys are checked right away; keys from a provider when they are first used
+    let provider = options.keyProvider;
+    if (!provider && options.keys) {
+        const byId = Object.fromEntries(Object.entries(options.keys).map(([id, key]) => [id, toKey(key)]));
+        provider = id => byId[id];
+    }
+    if (!provider && options.key) {
+        const key = toKey(options.key);
+        provider = id => (id === keyId ? key : undefined);
+    }
+    if (typeof provider !== 'function') {
+        throw new ValidationError('Encryption requires a key, keys or a keyProvider');
+    }
+
+    // Providers may call out to a key management service, so ask once per key ID
+    const keys = new Map();
+    const getKey = id => {
+        if (!keys.has(id)) {
+            const key = Promise.resolve(provider(id)).then(value => {
+                if (!value) throw new DecryptionError(`No encryption key found for key ID '${id}'`);
+                return toKey(value);
+            });
+            key.catch(() => keys.delete(id)); // Let a failed lookup be retried
+            keys.set(id, key);
+        }
+        return keys.get(id);
+    };
+
+    return {
+        keyId,
+        getKey,
+        filenames: Boolean(options.filenames),
+        mappingFile: String(options.mappingFile || DEFAULT_MAPPING_FILE).replace(/^\/+|\/+$/g, '')
+    };
+}
+
+module.exports = { DEFAULT_MAPPING_FILE, toKey, parseHeader, encrypt, decrypt, createEncryption };
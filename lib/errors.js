@@ -0,0 +1,156 @@
+const { isRateLimited } = require('./retry');
+
+/**
+ * Base class for every error thrown by GitHubFileStorage.
+ */
+class GitHubFileStorageError extends Error {
+    /**
+     * Creates an error.
+     * @param {string} message - The error message.
+     * @param {Object} [details={}] - Information about the failed request.
+     * @param {number} [details.status] - The HTTP status returned by GitHub.
+     * @param {string} [details.path] - The repository path involved.
+     * @param {string} [details.requestId] - GitHub's `X-GitHub-Request-Id`, useful when contacting GitHub support.
+     * @param {Object} [details.body] - The error body returned by GitHub.
+     * @param {Error} [details.cause] - The original error.
+     */
+    constructor(message, { status = null, path = null, requestId = null, body = null, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.path = path;
+        this.requestId = requestId;
+        this.body = body;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The file, folder, branch or repository does not exist (404).
+ */
+class NotFoundError extends GitHubFileStorageError {}
+
+/**
+ * The content changed since it was read: a SHA mismatch, an existing file, or a branch that moved (409).
+ */
+class ConflictError extends GitHubFileStorageError {
+    /**
+     * Creates a conflict error.
+     * @param {string} message - The error message.
+     * @param {Object} [details={}] - Information about the failed request, plus `retryable`, whether the write lost a race
+     *   with another commit and may succeed if repeated (by default, when GitHub answered 409).
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = details.retryable !== undefined ? Boolean(details.retryable) : this.status === 409;
+    }
+}
+
+/**
+ * The token is missing, invalid or lacks permission (401, or 403 outside rate limits).
+ */
+class AuthError extends GitHubFileStorageError {}
+
+/**
+ * A primary or secondary rate limit was hit and retrying did not help (403/429).
+ */
+class RateLimitError extends GitHubFileStorageError {
+    /**
+     * Creates a rate-limit error.
+     * @param {string} message - The error message.
+     * @param {Object} [details={}] - Information about the failed request, plus `reset`, the date the quota resets, if known.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.reset = details.reset || null;
+    }
+}
+
+/**
+ * The arguments are missing or invalid, or GitHub rejected the request as unprocessable (422).
+ */
+class ValidationError extends GitHubFileStorageError {}
+
+/**
+ * Encrypted content could not be decrypted: its key is unknown or wrong, or the content was modified.
+ */
+class DecryptionError extends GitHubFileStorageError {}
+
+/**
+ * Picks the error class matching a GitHub response.
+ * @param {Object} response - The error response.
+ * @returns {Function} The error class.
+ */
+function errorClassFor(response) {
+    const message = (response.data && response.data.message) || '';
+
+    if (isRateLimited(response)) return RateLimitError;
+
+    switch (response.status) {
+        case 401:
+        case 403:
+            return AuthError;
+        case 404:
+            return NotFoundError;
+        case 409:
+            return ConflictError;
+        case 422:
+            // The Contents API answers 422 when a file exists but no SHA was sent
+            return /sha/i.test(message) ? ConflictError : ValidationError;
+        default:
+            return GitHubFileStorageError;
+    }
+}
+
+/**
+ * Converts any error into a GitHubFileStorageError, keeping the HTTP status, request id, body and cause.
+ * @param {Error} error - The error to convert (an axios error, a GitHubFileStorageError or any other Error).
+ * @param {string} context - What was being done, used as the message prefix.
+ * @param {string} [path] - The repository path involved.
+ * @returns {GitHubFileStorageError} The typed error.
+ */
+function toStorageError(error, context, path) {
+    if (error instanceof GitHubFileStorageError) {
+        const ErrorClass = error.constructor;
+        return new ErrorClass(`${context}: ${error.message}`, {
+            status: error.status,
+            path: error.path || path,
+            requestId: error.requestId,
+            body: error.body,
+            cause: error,
+            reset: error.reset,
+            retryable: error.retryable
+        });
+    }
+
+    const response = error.response;
+    if (!response) {
+        return new GitHubFileStorageError(`${context}: ${error.message}`, { path, cause: error });
+    }
+
+    const headers = response.headers || {};
+    // Streamed and binary responses carry no readable error body
+    const data = response.data;
+    const body = data && typeof data === 'object' && !Buffer.isBuffer(data) && typeof data.pipe !== 'function' ? data : null;
+    const ErrorClass = errorClassFor({ ...response, data: body });
+
+    return new ErrorClass(`${context}: ${(body && body.message) || error.message}`, {
+        status: response.status,
+        path,
+        requestId: headers['x-github-request-id'] || null,
+        body,
+        cause: error,
+        reset: headers['x-ratelimit-reset'] ? new Date(Number(headers['x-ratelimit-reset']) * 1000) : null
+    });
+}
+
+module.exports = {
+    GitHubFileStorageError,
+    NotFoundError,
+    ConflictError,
+    AuthError,
+    RateLimitError,
+    ValidationError,
+    DecryptionError,
+    toStorageError
+};
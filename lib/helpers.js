@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+const { ConflictError } = require('./errors');
+
+// Archive formats supported by downloadAll, mapped to their archiver settings
+const ARCHIVE_FORMATS = {
+    'zip': { type: 'zip', options: { zlib: { level: 9 } } },
+    'tar': { type: 'tar', options: {} },
+    'tar.gz': { type: 'tar', options: { gzip: true, gzipOptions: { level: 9 } } }
+};
+
+/**
+ * Removes leading and trailing slashes from a repository path.
+ * @param {string} value - The path to clean.
+ * @returns {string} The path without surrounding slashes.
+ */
+function stripSlashes(value) {
+    return String(value).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Splits a repository path into its folder and file name, as `upload` and `deleteFile` take them.
+ * @param {string} filePath - The repository path.
+ * @returns {Array<string>} The folder ('' for the root) and the file name.
+ */
+function splitPath(filePath) {
+    const clean = stripSlashes(filePath);
+    const directory = path.posix.dirname(clean);
+    return [directory === '.' ? '' : directory, path.posix.basename(clean)];
+}
+
+/**
+ * Checks a path against include and exclude glob patterns.
+ * @param {string} value - The path to check.
+ * @param {Object} [filters={}] - The patterns to check against.
+ * @param {string|Array<string>} [filters.include] - Patterns the path must match, if any are given.
+ * @param {string|Array<string>} [filters.exclude] - Patterns the path must not match.
+ * @returns {boolean} Whether the path passes the filters.
+ */
+function matchesFilters(value, { include, exclude } = {}) {
+    const matches = patterns => [].concat(patterns).some(pattern => minimatch(value, pattern, { dot: true }));
+
+    if (include && !matches(include)) return false;
+    if (exclude && matches(exclude)) return false;
+    return true;
+}
+
+/**
+ * Reads a stream to the end.
+ * @param {Readable} input - The stream to read.
+ * @returns {Promise<Buffer>} Everything the stream produced.
+ */
+async function readStream(input) {
+    const chunks = [];
+    for await (const chunk of input) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Reads upload input into a base64 string.
+ * @param {string|Buffer|Readable|Object} file - Base64 string or data URI, Buffer, readable stream, or `{ path }` naming a local file.
+ * @returns {Promise<string>} The content in base64 format.
+ */
+async function toBase64(file) {
+    if (Buffer.isBuffer(file)) {
+        return file.toString('base64');
+    }
+
+    if (typeof file.pipe === 'function') {
+        // The GitHub API takes the whole content in one request, so the stream is collected in memory
+        return (await readStream(file)).toString('base64');
+    }
+
+    if (typeof file === 'object' && file.path) {
+        return (await fs.promises.readFile(file.path)).toString('base64');
+    }
+
+    // Clean up base64 string if it's passed in a 'data URI' format
+    if (typeof file === 'string' && file.startsWith('data:')) {
+        const base64Index = file.indexOf('base64,') + 'base64,'.length;
+        return file.slice(base64Index); // Strip metadata to get only the base64 string
+    }
+
+    return file;
+}
+
+/**
+ * Reads the expected SHA of a conditional write from its options.
+ * @param {Object} options - The call options.
+ * @returns {string|null|undefined} The expected SHA, null if the file must not exist, or undefined for an unconditional write.
+ */
+function expectedShaOf(options) {
+    return options.expectedSha !== undefined ? options.expectedSha : options.ifMatch;
+}
+
+/**
+ * Throws a ConflictError when a file's current SHA is not the expected one.
+ * @param {string} filePath - The path of the file.
+ * @param {string|null} expectedSha - The expected blob SHA, or null if the file must not exist.
+ * @param {string|null} actualSha - The current blob SHA, or null if the file does not exist.
+ * @throws {ConflictError} If the SHAs differ.
+ */
+function assertSha(filePath, expectedSha, actualSha) {
+    if ((expectedSha || null) === (actualSha || null)) return;
+
+    throw new ConflictError(
+        `File changed since it was read: expected ${expectedSha || 'no file'}, found ${actualSha || 'no file'}`,
+        { path: filePath }
+    );
+}
+
+module.exports = {
+    ARCHIVE_FORMATS,
+    stripSlashes,
+    splitPath,
+    matchesFilters,
+    readStream,
+    toBase64,
+    expectedShaOf,
+    assertSha
+};
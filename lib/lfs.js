@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+const POINTER_VERSION = 'https://git-lfs.github.com/spec/v1';
+const MEDIA_TYPE = 'application/vnd.git-lfs+json';
+
+// Pointer files are tiny; anything bigger is real content
+const MAX_POINTER_SIZE = 1024;
+
+/**
+ * Builds a Git LFS pointer for the given content.
+ * @param {Buffer} buffer - The file content stored in LFS.
+ * @returns {Object} The object id (`oid`), `size` and pointer file text (`pointer`).
+ */
+function createPointer(buffer) {
+    const oid = crypto.createHash('sha256').update(buffer).digest('hex');
+    const size = buffer.length;
+
+    return { oid, size, pointer: formatPointer(oid, size) };
+}
+
+/**
+ * Formats the text of a Git LFS pointer file.
+ * @param {string} oid - The SHA-256 of the content.
+ * @param {number} size - The size of the content in bytes.
+ * @returns {string} The pointer file text.
+ */
+function formatPointer(oid, size) {
+    return `version ${POINTER_VERSION}\noid sha256:${oid}\nsize ${size}\n`;
+}
+
+/**
+ * Parses a Git LFS pointer file.
+ * @param {Buffer} buffer - The file content as stored in the repository.
+ * @returns {Object|null} The object id (`oid`) and `size`, or null if the content is not a pointer.
+ */
+function parsePointer(buffer) {
+    if (buffer.length > MAX_POINTER_SIZE) return null;
+
+    const text = buffer.toString('utf8');
+    if (!text.startsWith(`version ${POINTER_VERSION}\n`)) return null;
+
+    const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m);
+    const size = text.match(/^size (\d+)$/m);
+    if (!oid || !size) return null;
+
+    return { oid: oid[1], size: Number(size[1]) };
+}
+
+module.exports = { MEDIA_TYPE, createPointer, formatPointer, parsePointer };
@@ -0,0 +1,86 @@
+// Retry settings used when the constructor does not override them
+const DEFAULT_RETRY = {
+    retries: 3,        // Attempts after the first one; 0 disables retrying
+    minDelay: 1000,    // Base delay in ms for exponential backoff
+    maxDelay: 60000,   // Longest wait in ms; a longer rate-limit reset fails the call instead
+    factor: 2          // Backoff multiplier per attempt
+};
+
+// Server errors worth another attempt
+const RETRY_STATUSES = [500, 502, 503, 504];
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit without a Retry-After header
+const SECONDARY_RATE_LIMIT_DELAY = 60000;
+
+/**
+ * Reads GitHub's rate-limit headers from a response.
+ * @param {Object} headers - The response headers.
+ * @returns {Object|null} The `limit`, `remaining`, `used`, `reset` date and `resource`, or null if the headers are missing.
+ */
+function parseRateLimit(headers) {
+    if (!headers || headers['x-ratelimit-limit'] === undefined) return null;
+
+    return {
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        used: Number(headers['x-ratelimit-used']),
+        reset: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+        resource: headers['x-ratelimit-resource']
+    };
+}
+
+/**
+ * Checks whether a response was rejected by a primary or secondary rate limit.
+ * @param {Object} response - The error response.
+ * @returns {boolean} Whether the request was rate limited.
+ */
+function isRateLimited(response) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+
+    const headers = response.headers || {};
+    const message = (response.data && response.data.message) || '';
+
+    return headers['x-ratelimit-remaining'] === '0'
+        || headers['retry-after'] !== undefined
+        || /rate limit/i.test(message);
+}
+
+/**
+ * Works out how long to wait before retrying a failed request.
+ * @param {Error} error - The error thrown by axios.
+ * @param {number} attempt - The number of retries already made.
+ * @param {Object} retry - The retry settings.
+ * @returns {number|null} The delay in milliseconds, or null if the request should not be retried.
+ */
+function getRetryDelay(error, attempt, retry) {
+    if (attempt >= retry.retries) return null;
+
+    const backoff = Math.min(retry.maxDelay, retry.minDelay * Math.pow(retry.factor, attempt));
+    const jittered = backoff / 2 + Math.random() * backoff / 2; // Spread out retries from parallel callers
+    const response = error.response;
+
+    let delay = null;
+    if (!response) {
+        // Network errors such as connection resets and timeouts, but not cancellation
+        delay = error.code === 'ERR_CANCELED' ? null : jittered;
+    } else if (isRateLimited(response)) {
+        const headers = response.headers || {};
+        const retryAfter = Number(headers['retry-after']);
+
+        if (Number.isFinite(retryAfter)) {
+            delay = retryAfter * 1000;
+        } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            delay = Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+        } else {
+            delay = Math.max(jittered, SECONDARY_RATE_LIMIT_DELAY);
+        }
+    } else if (RETRY_STATUSES.includes(response.status)) {
+        delay = jittered;
+    }
+
+    if (delay === null || delay > retry.maxDelay) return null;
+    return delay;
+}
+
+module.exports = { DEFAULT_RETRY, parseRateLimit, isRateLimited, getRetryDelay };
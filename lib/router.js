@@ -0,0 +1,443 @@
+const busboy = require('busboy');
+const minimatch = require('minimatch');
+const path = require('path');
+const {
+    GitHubFileStorageError,
+    NotFoundError,
+    ConflictError,
+    AuthError,
+    RateLimitError,
+    ValidationError
+} = require('./errors');
+
+// GitHub's web upload limit, a sensible ceiling for files sent through an app
+const DEFAULT_MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+
+// Error classes mapped to HTTP statuses, most specific first. Authentication and rate-limit
+// failures concern the server's GitHub credentials, not the client's, hence 502 and 503.
+const ERROR_STATUSES = [
+    [ValidationError, 400],
+    [NotFoundError, 404],
+    [ConflictError, 409],
+    [RateLimitError, 503],
+    [AuthError, 502]
+];
+
+// The action each route performs, as passed to the `authorize` hook
+const ROUTES = {
+    'GET files': 'read',
+    'HEAD files': 'read',
+    'PUT files': 'write',
+    'POST files': 'write',
+    'DELETE files': 'delete',
+    'GET list': 'list',
+    'GET archive': 'archive'
+};
+
+/**
+ * An error answered with a specific HTTP status, for failures detected by the router itself.
+ */
+class HttpError extends GitHubFileStorageError {
+    /**
+     * Creates an HTTP error.
+     * @param {number} status - The HTTP status to answer with.
+     * @param {string} message - The error message.
+     * @param {Object} [headers={}] - Extra response headers, e.g. `Allow`.
+     */
+    constructor(status, message, headers = {}) {
+        super(message, { status });
+        this.headers = headers;
+    }
+}
+
+/**
+ * Picks the HTTP status for an error.
+ * @param {Error} error - The error to answer with.
+ * @returns {number} The HTTP status.
+ */
+function statusFor(error) {
+    if (error instanceof HttpError) return error.status;
+
+    const match = ERROR_STATUSES.find(([ErrorClass]) => error instanceof ErrorClass);
+    if (match) return match[1];
+
+    // Any other failure from GitHub is an upstream problem
+    return error instanceof GitHubFileStorageError && error.status ? 502 : 500;
+}
+
+/**
+ * Sends an error as JSON, or aborts the response if the body already started.
+ * @param {ServerResponse} res - The response.
+ * @param {Error} error - The error to report.
+ */
+function sendError(res, error) {
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+
+    const status = statusFor(error);
+    const headers = { ...(error.headers || {}) };
+    if (error instanceof RateLimitError && error.reset) {
+        headers['Retry-After'] = String(Math.max(1, Math.ceil((error.reset.getTime() - Date.now()) / 1000)));
+    }
+
+    // Unexpected errors may hold internal details, so only known ones are described
+    const known = status !== 500;
+    sendJson(res, status, { error: known ? error.message : 'Internal server error', type: known ? error.name : 'Error' }, headers);
+}
+
+/**
+ * Sends a JSON response.
+ * @param {ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {Object} body - The body to serialize.
+ * @param {Object} [headers={}] - Extra response headers.
+ */
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        ...headers,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+}
+
+/**
+ * Decodes and checks the repository path of a request.
+ * @param {string} rawPath - The path as it appears in the URL, after the route name.
+ * @returns {string} The repository path, without leading or trailing slashes ('' for the root).
+ * @throws {HttpError} If the path is malformed or tries to leave the repository.
+ */
+function parseRepoPath(rawPath = '') {
+    let segments;
+    try {
+        segments = rawPath.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed path');
+    }
+
+    if (segments.some(segment => segment === '.' || segment === '..' || /[\0\\/]/.test(segment))) {
+        throw new HttpError(400, 'Invalid path');
+    }
+    return segments.join('/');
+}
+
+/**
+ * Checks a path against allow and deny patterns. A folder pattern also covers everything inside it.
+ * @param {string} repoPath - The repository path.
+ * @param {Array<string>|null} allow - Patterns of the paths that may be used, or null for any path.
+ * @param {Array<string>|null} deny - Patterns of the paths that may never be used.
+ * @returns {boolean} Whether the path may be used.
+ */
+function isPathAllowed(repoPath, allow, deny) {
+    const matches = pattern => minimatch(repoPath, pattern, { dot: true })
+        || minimatch(repoPath, `${pattern.replace(/\/+$/, '')}/**`, { dot: true });
+
+    if (deny && deny.some(matches)) return false;
+    return !allow || allow.some(matches);
+}
+
+/**
+ * Reads a whole request body, refusing bodies over the size limit.
+ * @param {IncomingMessage} req - The request.
+ * @param {number} maxSize - The largest accepted body in bytes.
+ * @returns {Promise<Buffer>} The body.
+ * @throws {HttpError} If the body is too large.
+ */
+function readBody(req, maxSize) {
+    if (req.readableEnded) {
+        // A body parser mounted earlier already consumed the stream
+        if (Buffer.isBuffer(req.body) && req.body.length <= maxSize) return Promise.resolve(req.body);
+        return Promise.reject(new HttpError(400, 'The request body was already read; mount the router before body parsers'));
+    }
+    if (Number(req.headers['content-length']) > maxSize) {
+        return Promise.reject(new HttpError(413, `Upload exceeds the ${maxSize} byte limit`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) {
+                // Keep draining without buffering so the error response can still be delivered
+                chunks.length = 0;
+                reject(new HttpError(413, `Upload exceeds the ${maxSize} byte limit`));
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Reads the files of a multipart/form-data request, refusing files over the size limit.
+ * @param {IncomingMessage} req - The request.
+ * @param {number} maxSize - The largest accepted file in bytes.
+ * @returns {Promise<Object>} The `files`, each `{ filename, content }`, and the text `fields`.
+ * @throws {HttpError} If the form is malformed or a file is too large.
+ */
+function readMultipart(req, maxSize) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({ headers: req.headers, limits: { fileSize: maxSize } });
+        } catch (error) {
+            reject(new HttpError(400, `Invalid multipart request: ${error.message}`));
+            return;
+        }
+
+        const files = [];
+        const fields = {};
+        let failure = null;
+
+        parser.on('file', (name, file, info) => {
+            const chunks = [];
+            file.on('data', chunk => chunks.push(chunk));
+            file.on('limit', () => {
+                failure = new HttpError(413, `Upload exceeds the ${maxSize} byte limit`);
+            });
+            file.on('end', () => {
+                files.push({ field: name, filename: info.filename, content: Buffer.concat(chunks) });
+            });
+        });
+        parser.on('field', (name, value) => {
+            fields[name] = value;
+        });
+        parser.on('error', error => reject(new HttpError(400, `Invalid multipart request: ${error.message}`)));
+        parser.on('close', () => (failure ? reject(failure) : resolve({ files, fields })));
+
+        req.pipe(parser);
+    });
+}
+
+/**
+ * Waits until a stream has data to read, so errors such as a missing file surface before any header is sent.
+ * @param {Readable} readable - The stream.
+ * @returns {Promise<void>}
+ */
+function whenReadable(readable) {
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            readable.off('readable', done);
+            readable.off('end', done);
+            readable.off('error', done);
+            if (error instanceof Error) reject(error);
+            else resolve();
+        };
+        readable.on('readable', done);
+        readable.on('end', done);
+        readable.on('error', done);
+    });
+}
+
+/**
+ * Builds a Content-Disposition header that offers a file as a download.
+ * @param {string} filename - The file name.
+ * @returns {string} The header value.
+ */
+function attachment(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Streams a readable to the response once it has data, with the given headers.
+ * @param {Readable} readable - The content.
+ * @param {ServerResponse} res - The response.
+ * @param {Object} headers - The response headers.
+ * @returns {Promise<void>}
+ */
+async function streamTo(readable, res, headers) {
+    await whenReadable(readable);
+
+    res.writeHead(200, { ...headers, 'X-Content-Type-Options': 'nosniff' });
+    readable.on('error', error => res.destroy(error));
+    readable.pipe(res);
+}
+
+/**
+ * Creates a Connect/Express middleware exposing the storage over HTTP.
+ *
+ * Routes, relative to where the router is mounted (paths after the route name are repository paths):
+ * - `GET /files/<path>` streams a file as a download (`?ref=` picks a branch, tag or commit)
+ * - `PUT /files/<path>` uploads the raw request body (`If-Match: <sha>` for a conditional write, `?overwrite=false` to refuse replacing)
+ * - `POST /files/<folder>` uploads the files of a multipart/form-data request into the folder
+ * - `DELETE /files/<path>` deletes a file (`If-Match: <sha>` for a conditional delete)
+ * - `GET /list/<folder>` lists a folder as JSON (`?recursive=true` for every file below it)
+ * - `GET /archive/<folder>` streams the folder as an archive (`?format=zip|tar|tar.gz`)
+ *
+ * @param {GitHubFileStorage} storage - The storage to expose.
+ * @param {Object} [options={}] - Additional settings.
+ * @param {Array<string>} [options.allow] - Glob patterns of the repository paths clients may use (any path by default).
+ *   A folder pattern such as 'public' also covers everything inside it.
+ * @param {Array<string>} [options.deny] - Glob patterns of the repository paths clients may never use, checked before `allow`.
+ * @param {Function} [options.authenticate] - Called with the request; resolves to the user, or a falsy value to answer 401.
+ * @param {Function} [options.authorize] - Called with `{ user, action, path, req }`, where action is 'read', 'write',
+ *   'delete', 'list' or 'archive'; resolves to false to answer 403.
+ * @param {Function} [options.commitOptions] - Called with `{ user, action, path, req }` before a write or delete; resolves to
+ *   commit options (`message`, `author`, `committer`, `coAuthors`, `signOff`) for the commits it makes.
+ * @param {number} [options.maxUploadSize=26214400] - The largest accepted upload in bytes (413 above it).
+ * @param {boolean} [options.readOnly=false] - Whether to refuse every write and delete with 405.
+ * @returns {Function} The middleware `(req, res, next)`. Requests for other URLs are passed to `next`, or answered 404 without it.
+ * @throws {ValidationError} If the storage is not provided.
+ */
+function createRouter(storage, options = {}) {
+    if (!storage) {
+        throw new ValidationError('Storage is required!');
+    }
+
+    const maxUploadSize = options.maxUploadSize || DEFAULT_MAX_UPLOAD_SIZE;
+    const allow = options.allow ? [].concat(options.allow) : null;
+    const deny = options.deny ? [].concat(options.deny) : null;
+    const allowed = repoPath => isPathAllowed(repoPath, allow, deny);
+
+    const handlers = {
+        async read(req, res, repoPath, query) {
+            const readable = storage.createReadStream(repoPath, { ref: query.get('ref') || undefined });
+            await streamTo(readable, res, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Disposition': attachment(path.posix.basename(repoPath))
+            });
+        },
+
+        async write(req, res, repoPath, query, commit) {
+            const ifMatch = req.headers['if-match'] ? req.headers['if-match'].replace(/^(W\/)?"|"$/g, '') : undefined;
+            const uploadOptions = {
+                ...commit,
+                branch: query.get('branch') || undefined,
+                expectedSha: ifMatch,
+                errorIfExists: true
+            };
+            const overwrite = query.get('overwrite') !== 'false';
+
+            const contentType = req.headers['content-type'] || '';
+            const uploads = [];
+            if (req.method === 'POST') {
+                if (!/^multipart\/form-data/i.test(contentType)) {
+                    throw new HttpError(415, 'Expected a multipart/form-data request');
+                }
+
+                const { files, fields } = await readMultipart(req, maxUploadSize);
+                if (!files.length) throw new HttpError(400, 'No file in the request');
+
+                for (const file of files) {
+                    // A `filename` field renames a single uploaded file
+                    const filename = path.posix.basename(files.length === 1 && fields.filename ? fields.filename : file.filename || '');
+                    if (!filename || filename === '.' || filename === '..') throw new HttpError(400, 'Every file needs a name');
+                    uploads.push({ path: repoPath ? `${repoPath}/${filename}` : filename, content: file.content });
+                }
+            } else {
+                if (!repoPath) throw new HttpError(400, 'A file path is required');
+                uploads.push({ path: repoPath, content: await readBody(req, maxUploadSize) });
+            }
+
+            const results = [];
+            for (const upload of uploads) {
+                if (!allowed(upload.path)) throw new HttpError(403, `Access to ${upload.path} is not allowed`);
+
+                const directory = path.posix.dirname(upload.path);
+                const result = await storage.upload(
+                    upload.content,
+                    directory === '.' ? '' : directory,
+                    path.posix.basename(upload.path),
+                    overwrite,
+                    uploadOptions
+                );
+                results.push({ path: upload.path, ...result });
+            }
+
+            const created = results.every(result => result.message === 'File uploaded successfully!');
+            sendJson(res, created ? 201 : 200, results.length === 1 ? results[0] : { message: 'Files uploaded successfully!', files: results });
+        },
+
+        async delete(req, res, repoPath, query, commit) {
+            if (!repoPath) throw new HttpError(400, 'A file path is required');
+
+            const ifMatch = req.headers['if-match'] ? req.headers['if-match'].replace(/^(W\/)?"|"$/g, '') : undefined;
+            const branch = query.get('branch') || undefined;
+            const directory = path.posix.dirname(repoPath);
+
+            const result = await storage.deleteFile(directory === '.' ? '' : directory, path.posix.basename(repoPath), { ...commit, branch, expectedSha: ifMatch });
+            sendJson(res, 200, result);
+        },
+
+        async list(req, res, repoPath, query) {
+            const ref = query.get('ref') || undefined;
+            const result = query.get('recursive') === 'true'
+                ? await storage.listAllFiles(repoPath, { ref })
+                : await storage.listFiles(repoPath, { ref });
+
+            // Hide whatever the allow-list does not cover
+            sendJson(res, 200, { ...result, files: result.files.filter(file => allowed(file.path)) });
+        },
+
+        async archive(req, res, repoPath, query) {
+            const format = query.get('format') || 'zip';
+            const readable = storage.createArchiveStream(repoPath, {
+                ref: query.get('ref') || undefined,
+                format,
+                filter: file => allowed(file.path)
+            });
+
+            const name = `${repoPath ? path.posix.basename(repoPath) : 'repository'}.${format}`;
+            await streamTo(readable, res, {
+                'Content-Type': format === 'zip' ? 'application/zip' : format === 'tar' ? 'application/x-tar' : 'application/gzip',
+                'Content-Disposition': attachment(name)
+            });
+        }
+    };
+
+    const handle = async (req, res, action, rawPath, query) => {
+        const user = options.authenticate ? await options.authenticate(req) : null;
+        if (options.authenticate && !user) {
+            throw new HttpError(401, 'Authentication required');
+        }
+
+        if (options.readOnly && (action === 'write' || action === 'delete')) {
+            throw new HttpError(405, 'This storage is read-only', { Allow: 'GET, HEAD' });
+        }
+
+        const repoPath = parseRepoPath(rawPath);
+        // Multipart uploads into the root are checked file by file instead
+        if (!allowed(repoPath) && !(req.method === 'POST' && !repoPath)) {
+            throw new HttpError(403, `Access to ${repoPath || 'the repository root'} is not allowed`);
+        }
+
+        if (options.authorize && !(await options.authorize({ user, action, path: repoPath, req }))) {
+            throw new HttpError(403, 'Not allowed');
+        }
+
+        // Lets commits name the client's user rather than the owner of the server's token
+        const writes = action === 'write' || action === 'delete';
+        const commit = writes && options.commitOptions ? await options.commitOptions({ user, action, path: repoPath, req }) : {};
+
+        await handlers[action](req, res, repoPath, query, commit || {});
+    };
+
+    return function router(req, res, next) {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/(files|list|archive)(?:\/(.*))?$/);
+        const action = match && ROUTES[`${req.method} ${match[1]}`];
+
+        if (!action) {
+            if (match) {
+                sendError(res, new HttpError(405, 'Method not allowed'));
+            } else if (next) {
+                next();
+            } else {
+                sendError(res, new HttpError(404, 'Not found'));
+            }
+            return;
+        }
+
+        handle(req, res, action, match[2], url.searchParams).catch(error => sendError(res, error));
+    };
+}
+
+module.exports = { createRouter };
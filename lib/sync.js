@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+
+// Never synced, whatever the ignore files say
+const ALWAYS_IGNORED = ['.git'];
+
+/**
+ * Computes the git blob SHA of some content, the same SHA GitHub reports for the file.
+ * @param {Buffer} buffer - The file content.
+ * @returns {string} The blob SHA.
+ */
+function gitBlobSha(buffer) {
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+/**
+ * Hashes a local file in one streaming pass, without loading it into memory.
+ * @param {string} filePath - The local file path.
+ * @returns {Promise<Object>} The `size` in bytes, git blob `sha`, SHA-256 `oid` (as used by Git LFS) and whether it is `executable`.
+ */
+async function hashFile(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    const sha1 = crypto.createHash('sha1').update(`blob ${stats.size}\0`);
+    const sha256 = crypto.createHash('sha256');
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        sha1.update(chunk);
+        sha256.update(chunk);
+    }
+
+    return {
+        size: stats.size,
+        sha: sha1.digest('hex'),
+        oid: sha256.digest('hex'),
+        executable: (stats.mode & 0o111) !== 0
+    };
+}
+
+/**
+ * Builds a filter from `.gitignore`-style rules.
+ * Rules from ignore files apply to the folder holding the file and everything below it, as in git.
+ * @param {Object} [options={}] - The ignore settings.
+ * @param {Array<string>} [options.ignore=[]] - Extra patterns, relative to the synced folder.
+ * @returns {Object} A filter with `add(dir, rules)` to register an ignore file's rules and `ignores(relativePath, isDir)`.
+ */
+function createIgnoreFilter({ ignore: patterns = [] } = {}) {
+    const rules = [{ dir: '', matcher: ignore().add(ALWAYS_IGNORED).add(patterns) }];
+
+    return {
+        add(dir, content) {
+            rules.push({ dir, matcher: ignore().add(content) });
+        },
+        ignores(relativePath, isDir = false) {
+            return rules.some(({ dir, matcher }) => {
+                if (dir && !relativePath.startsWith(`${dir}/`)) return false;
+
+                const local = dir ? relativePath.slice(dir.length + 1) : relativePath;
+                return matcher.ignores(isDir ? `${local}/` : local);
+            });
+        }
+    };
+}
+
+/**
+ * Lists the regular files under a local folder, skipping ignored paths.
+ * Symbolic links and other special files are skipped.
+ * @param {string} root - The local folder.
+ * @param {Object} filter - The filter from `createIgnoreFilter`.
+ * @param {Array<string>} [ignoreFiles=[]] - Names of the ignore files to read in each folder, e.g. '.gitignore'.
+ * @returns {Promise<Map<string, string>>} Paths relative to the folder (with forward slashes), mapped to absolute paths.
+ */
+async function listLocalFiles(root, filter, ignoreFiles = []) {
+    const files = new Map();
+
+    async function walk(dir) {
+        const absoluteDir = path.join(root, dir);
+
+        if (!dir && !fs.existsSync(absoluteDir)) return; // `syncDown` creates a missing folder, so it has no files yet
+
+        // Register this folder's ignore files before looking at its entries
+        for (const name of ignoreFiles) {
+            const content = await fs.promises.readFile(path.join(absoluteDir, name), 'utf8').catch(() => null);
+            if (content !== null) filter.add(dir, content);
+        }
+
+        const entries = await fs.promises.readdir(absoluteDir, { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                if (!filter.ignores(relativePath, true)) await walk(relativePath);
+            } else if (entry.isFile() && !filter.ignores(relativePath)) {
+                files.set(relativePath, path.join(root, relativePath));
+            }
+        }
+    }
+
+    await walk('');
+    return files;
+}
+
+module.exports = { gitBlobSha, hashFile, createIgnoreFilter, listLocalFiles };
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const { describe, it, after } = require('node:test');
+const { run } = require('../lib/cli');
+const { createGitHubStandIn } = require('./github-stand-in');
+
+const env = { GHFM_REPO: 'owner/repo', GHFM_TOKEN: 'test-token' };
+
+/**
+ * Creates a writable stream that keeps what is written to it.
+ * @param {boolean} [isTTY=false] - Whether to pose as a terminal, which turns the progress display on.
+ * @returns {Writable} The stream, with the written `text`.
+ */
+function createOutput(isTTY = false) {
+    const output = new stream.Writable({
+        write(chunk, encoding, callback) {
+            output.text += chunk.toString();
+            callback();
+        }
+    });
+    output.text = '';
+    output.isTTY = isTTY;
+    return output;
+}
+
+/**
+ * Runs the CLI against a stand-in repository.
+ * @param {Object} github - The stand-in.
+ * @param {Array<string>} argv - The arguments.
+ * @param {Object} [io={}] - Overrides of the I/O context.
+ * @returns {Promise<Object>} The exit `code`, and the `stdout` and `stderr` text.
+ */
+async function ghfm(github, argv, io = {}) {
+    const stdout = createOutput();
+    const stderr = io.stderr || createOutput();
+    const code = await run(argv, { env, stdout, stderr, adapter: github.adapter, ...io });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+const tempDirs = [];
+const tempDir = async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ghfm-cli-test-'));
+    tempDirs.push(directory);
+    return directory;
+};
+after(() => Promise.all(tempDirs.map(directory => fs.promises.rm(directory, { recursive: true, force: true }))));
+
+describe('ghfm', () => {
+    it('prints the help and version, and rejects invalid usage with exit code 2', async () => {
+        const github = createGitHubStandIn();
+
+        assert.strictEqual((await ghfm(github, ['--help'])).code, 0);
+        assert.match((await ghfm(github, ['--version'])).stdout, /^\d+\.\d+\.\d+\n$/);
+        assert.strictEqual((await ghfm(github, [])).code, 2);
+        assert.strictEqual((await ghfm(github, ['frobnicate'])).code, 2);
+        assert.strictEqual((await ghfm(github, ['ls', '--colour'])).code, 2);
+        assert.strictEqual((await ghfm(github, ['get'])).code, 2);
+
+        const missingRepo = await ghfm(github, ['ls'], { env: { GHFM_TOKEN: 'test-token' } });
+        assert.strictEqual(missingRepo.code, 2);
+        assert.match(missingRepo.stderr, /No repository given/);
+    });
+
+    it('uploads, lists, downloads, moves and deletes files', async () => {
+        const github = createGitHubStandIn();
+        const local = await tempDir();
+        await fs.promises.writeFile(path.join(local, 'report.txt'), 'quarterly');
+
+        assert.strictEqual((await ghfm(github, ['put', path.join(local, 'report.txt'), 'docs/'])).code, 0);
+        assert.strictEqual(github.read('docs/report.txt').toString(), 'quarterly');
+
+        const listed = await ghfm(github, ['ls', 'docs', '-r', '--json']);
+        assert.deepStrictEqual(JSON.parse(listed.stdout).map(file => file.path), ['docs/report.txt']);
+        assert.strictEqual((await ghfm(github, ['ls'])).stdout, 'docs/\n');
+
+        assert.strictEqual((await ghfm(github, ['get', 'docs/report.txt', '-'])).stdout, 'quarterly');
+        const copy = path.join(local, 'copy', 'report.txt');
+        assert.strictEqual((await ghfm(github, ['get', 'docs/report.txt', copy])).code, 0);
+        assert.strictEqual(await fs.promises.readFile(copy, 'utf8'), 'quarterly');
+
+        assert.strictEqual((await ghfm(github, ['mv', 'docs/report.txt', 'report.txt', '-m', 'Move to root'])).stdout, 'docs/report.txt -> report.txt\n');
+        assert.strictEqual(github.commit().message, 'Move to root');
+
+        assert.strictEqual((await ghfm(github, ['rm', 'report.txt'])).code, 0);
+        assert.strictEqual(github.read('report.txt'), null);
+    });
+
+    it('maps errors to exit codes', async () => {
+        const github = createGitHubStandIn();
+        const local = await tempDir();
+        await fs.promises.writeFile(path.join(local, 'a.txt'), 'a');
+        github.put('docs/a.txt', 'a');
+
+        assert.strictEqual((await ghfm(github, ['rm', 'docs/missing.txt'])).code, 3);
+        assert.strictEqual((await ghfm(github, ['put', path.join(local, 'a.txt'), 'docs/a.txt', '--no-overwrite'])).code, 4);
+
+        github.fail(401, { message: 'Bad credentials' });
+        const unauthorized = await ghfm(github, ['ls', 'docs', '--json']);
+        assert.strictEqual(unauthorized.code, 5);
+        assert.strictEqual(JSON.parse(unauthorized.stderr).error.status, 401);
+
+        const reset = String(Math.ceil(Date.now() / 1000) + 3600);
+        github.fail(403, { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }, message: 'API rate limit exceeded' });
+        assert.strictEqual((await ghfm(github, ['ls', 'docs'])).code, 6);
+    });
+
+    it('shows the progress of each archived and synced file on a terminal', async () => {
+        const github = createGitHubStandIn();
+        github.put('site/a.txt', 'a');
+        github.put('site/b.txt', 'b');
+        const local = await tempDir();
+
+        const archived = await ghfm(github, ['zip', 'site', local, '--format', 'tar'], { stderr: createOutput(true) });
+        assert.strictEqual(archived.code, 0);
+        assert.ok(archived.stdout.trim().endsWith('.tar'));
+        assert.match(archived.stderr, /Archiving site: 2\/2 files/);
+
+        const synced = await ghfm(github, ['sync', 'down', 'site', path.join(local, 'copy')], { stderr: createOutput(true) });
+        assert.strictEqual(synced.code, 0);
+        assert.match(synced.stderr, /: 1\/2 files.*: 2\/2 files/s);
+        assert.match(synced.stdout, /2 added, 0 changed, 0 deleted, 0 unchanged/);
+
+        const quiet = await ghfm(github, ['sync', 'up', path.join(local, 'copy'), 'site', '-q'], { stderr: createOutput(true) });
+        assert.strictEqual(quiet.stderr, '');
+        assert.match(quiet.stdout, /0 added, 0 changed, 0 deleted, 2 unchanged/);
+    });
+});
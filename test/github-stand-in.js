@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { AxiosError } = require('axios');
+const { gitBlobSha } = require('../lib/sync');
+
+// The Contents API leaves `content` empty for files over 1 MB
+const CONTENT_LIMIT = 1024 * 1024;
+
+// The tree mode of a submodule, whose entry points to a commit of another repository
+const SUBMODULE_MODE = '160000';
+
+// The host serving Git LFS objects, as a third party next to GitHub
+const LFS_STORAGE = 'https://lfs-storage.stand-in.test';
+
+/**
+ * Hashes a value into a SHA-1 hex digest, used for tree and commit SHAs.
+ * @param {string} value - The value to hash.
+ * @returns {string} The digest.
+ */
+function sha1(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Reads a request header, whether the headers are plain or an AxiosHeaders instance.
+ * @param {Object} config - The axios request config.
+ * @param {string} name - The header name.
+ * @returns {string|undefined} The header value.
+ */
+function headerOf(config, name) {
+    const headers = config.headers || {};
+    if (typeof headers.get === 'function') return headers.get(name) || undefined;
+
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+}
+
+/**
+ * Creates an in-memory stand-in for the GitHub REST API of one repository, answered through an axios adapter.
+ * It covers what GitHubFileStorage uses: the Contents API, the Git Data API (blobs, trees, commits and refs),
+ * commit history, branches, the rate limit, raw downloads, GitHub App tokens and Git LFS, with ETags on GET answers.
+ * @param {Object} [options={}] - Additional settings.
+ * @param {string} [options.repo='owner/repo'] - The repository, as passed to GitHubFileStorage.
+ * @param {string} [options.defaultBranch='main'] - The default branch, created with an empty first commit.
+ * @param {boolean} [options.truncate=false] - Whether recursive tree answers are reported as truncated.
+ * @param {number} [options.tokenLifetime=3600] - How many seconds GitHub App installation tokens are valid.
+ * @returns {Object} The `adapter` to pass to GitHubFileStorage, the `requests` it received (`{ method, url, params, headers }`),
+ *   helpers to inspect and change the repository: `put`, `submodule`, `read`, `files`, `commit`, `head` and `branches`,
+ *   and `fail` to make the next requests fail.
+ */
+function createGitHubStandIn({ repo = 'owner/repo', defaultBranch = 'main', truncate = false, tokenLifetime = 3600 } = {}) {
+    const blobs = new Map(); // Blob SHA to content
+    const trees = new Map(); // Tree SHA to a Map of path to { mode, sha } for every file below it
+    const commits = new Map(); // Commit SHA to { tree, parents, message, author, committer }
+    const refs = new Map(); // Branch name to commit SHA
+    const lfsObjects = new Map(); // LFS oid to content
+    const requests = [];
+    const failures = []; // Canned failures for the next matching requests
+    let tokens = 0;
+    let clock = Date.parse('2024-01-01T00:00:00Z');
+
+    const addBlob = buffer => {
+        const sha = gitBlobSha(buffer);
+        blobs.set(sha, buffer);
+        return sha;
+    };
+
+    const addTree = files => {
+        const sorted = [...files].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const sha = sha1(`tree ${sorted.map(([filePath, entry]) => `${entry.mode} ${filePath} ${entry.sha}`).join('\n')}`);
+        trees.set(sha, new Map(sorted));
+        return sha;
+    };
+
+    const addCommit = (tree, parents, message, { author, committer } = {}) => {
+        clock += 1000;
+        const date = new Date(clock).toISOString();
+        const person = { name: 'Stand-in', email: 'stand-in@example.com', date };
+        const sha = sha1(`commit ${tree} ${parents.join(' ')} ${message} ${clock}`);
+        commits.set(sha, { tree, parents, message, author: { ...person, ...author }, committer: { ...person, ...committer } });
+        return sha;
+    };
+
+    refs.set(defaultBranch, addCommit(addTree(new Map()), [], 'Initial commit'));
+
+    // Branch names, commit SHAs and tree SHAs are all accepted where GitHub takes a tree-ish
+    const commitOf = ref => (refs.has(ref) ? refs.get(ref) : commits.has(ref) ? ref : null);
+    const filesAt = ref => {
+        if (trees.has(ref)) return trees.get(ref);
+        const commit = commitOf(ref || defaultBranch);
+        return commit ? trees.get(commits.get(commit).tree) : null;
+    };
+
+    // The tree of a folder, stored so its SHA can be fetched like GitHub's subtrees
+    const subtree = (files, dirPath) => {
+        const prefix = `${dirPath}/`;
+        const below = [...files].filter(([filePath]) => filePath.startsWith(prefix)).map(([filePath, entry]) => [filePath.slice(prefix.length), entry]);
+        return addTree(new Map(below));
+    };
+
+    const encodePath = filePath => filePath.split('/').map(encodeURIComponent).join('/');
+    const downloadUrl = (filePath, ref) => `https://raw.githubusercontent.com/${repo}/${encodeURIComponent(ref)}/${encodePath(filePath)}?token=stand-in`;
+
+    const fileEntry = (files, filePath, ref) => {
+        const { mode, sha } = files.get(filePath);
+        if (mode === SUBMODULE_MODE) {
+            return { type: 'submodule', name: filePath.split('/').pop(), path: filePath, sha, size: 0, download_url: null };
+        }
+        return {
+            type: 'file',
+            name: filePath.split('/').pop(),
+            path: filePath,
+            sha,
+            size: blobs.get(sha).length,
+            download_url: downloadUrl(filePath, ref)
+        };
+    };
+
+    // The files and folders directly inside a folder
+    const children = (files, dirPath, ref) => {
+        const prefix = dirPath ? `${dirPath}/` : '';
+        const entries = new Map();
+        for (const filePath of files.keys()) {
+            if (!filePath.startsWith(prefix)) continue;
+
+            const [name, ...rest] = filePath.slice(prefix.length).split('/');
+            const childPath = `${prefix}${name}`;
+            if (rest.length === 0) {
+                entries.set(childPath, fileEntry(files, childPath, ref));
+            } else if (!entries.has(childPath)) {
+                entries.set(childPath, { type: 'dir', name, path: childPath, sha: subtree(files, childPath), size: 0, download_url: null });
+            }
+        }
+        return [...entries.values()].sort((a, b) => (a.path < b.path ? -1 : 1));
+    };
+
+    const writeCommit = (branch, files, message, body) => {
+        const sha = addCommit(addTree(files), [refs.get(branch)], message, body);
+        refs.set(branch, sha);
+        return sha;
+    };
+
+    /**
+     * Answers one request to the GitHub API.
+     * @returns {Array} The status, the body and extra headers.
+     */
+    const route = (method, url, config, body) => {
+        if (url.hostname === 'raw.githubusercontent.com') {
+            // Private repositories only serve raw files with the token GitHub puts in `download_url`, or authenticated
+            if (!url.searchParams.get('token') && !headerOf(config, 'Authorization')) return [404, 'Not Found'];
+
+            const [, , , ref, ...rest] = url.pathname.split('/');
+            const files = filesAt(decodeURIComponent(ref));
+            const entry = files && files.get(rest.map(decodeURIComponent).join('/'));
+            return entry ? [200, blobs.get(entry.sha)] : [404, 'Not Found'];
+        }
+
+        if (url.origin === LFS_STORAGE) {
+            const oid = url.pathname.slice(1);
+            if (method === 'PUT') {
+                lfsObjects.set(oid, Buffer.from(config.data));
+                return [200, ''];
+            }
+            return lfsObjects.has(oid) ? [200, lfsObjects.get(oid)] : [404, 'Not Found'];
+        }
+
+        if (url.pathname === `/${repo}.git/info/lfs/objects/batch`) {
+            const objects = body.objects.map(({ oid, size }) => {
+                if (body.operation === 'upload') {
+                    const actions = lfsObjects.has(oid) ? undefined : { upload: { href: `${LFS_STORAGE}/${oid}`, header: { 'X-Upload-Token': oid } } };
+                    return { oid, size, actions };
+                }
+                return lfsObjects.has(oid)
+                    ? { oid, size, actions: { download: { href: `${LFS_STORAGE}/${oid}`, header: { 'X-Download-Token': oid } } } }
+                    : { oid, size, error: { code: 404, message: 'Object does not exist' } };
+            });
+            return [200, { transfer: 'basic', objects }];
+        }
+
+        if (url.pathname === '/rate_limit') {
+            const core = { limit: 5000, remaining: 4999, reset: 1893456000, used: 1 };
+            return [200, { resources: { core }, rate: core }];
+        }
+
+        let match = url.pathname.match(/^\/app\/installations\/(\d+)\/access_tokens$/);
+        if (match && method === 'POST') {
+            tokens++;
+            return [201, { token: `installation-token-${match[1]}-${tokens}`, expires_at: new Date(Date.now() + tokenLifetime * 1000).toISOString() }];
+        }
+
+        if (!url.pathname.startsWith(`/repos/${repo}`)) return [404, { message: 'Not Found' }];
+        const rest = url.pathname.slice(`/repos/${repo}`.length);
+        const params = config.params || {};
+
+        if (rest === '' && method === 'GET') return [200, { full_name: repo, default_branch: defaultBranch, private: true }];
+        if (rest === '/installation' && method === 'GET') return [200, { id: 42 }];
+
+        if ((match = rest.match(/^\/contents(?:\/(.*))?$/))) {
+            const filePath = decodeURIComponent(match[1] || '').split('/').filter(Boolean).join('/');
+            const branch = (method === 'GET' ? params.ref : body.branch) || defaultBranch;
+            const files = filesAt(branch);
+            if (!files) return [404, { message: `No commit found for the ref ${branch}` }];
+
+            if (method === 'GET') {
+                if (files.has(filePath)) {
+                    if (files.get(filePath).mode === SUBMODULE_MODE) return [200, fileEntry(files, filePath, branch)];
+
+                    const content = blobs.get(files.get(filePath).sha);
+                    if (/raw/.test(headerOf(config, 'Accept') || '')) return [200, content];
+
+                    const large = content.length > CONTENT_LIMIT;
+                    return [200, { ...fileEntry(files, filePath, branch), content: large ? '' : content.toString('base64'), encoding: large ? 'none' : 'base64' }];
+                }
+
+                const entries = children(files, filePath, branch);
+                return entries.length > 0 || !filePath ? [200, entries] : [404, { message: 'Not Found' }];
+            }
+
+            const current = files.get(filePath);
+            if (method === 'PUT') {
+                if (current && !body.sha) return [422, { message: 'Invalid request.\n\n"sha" wasn\'t supplied.' }];
+                if (body.sha && (!current || body.sha !== current.sha)) return [409, { message: `${filePath} does not match ${body.sha}` }];
+
+                const updated = new Map(files).set(filePath, { mode: current ? current.mode : '100644', sha: addBlob(Buffer.from(body.content, 'base64')) });
+                const sha = writeCommit(branch, updated, body.message, body);
+                return [current ? 200 : 201, { content: fileEntry(updated, filePath, branch), commit: { sha, message: body.message } }];
+            }
+
+            if (method === 'DELETE') {
+                if (!current) return [404, { message: 'Not Found' }];
+                if (body.sha !== current.sha) return [409, { message: `${filePath} does not match ${body.sha}` }];
+
+                const updated = new Map(files);
+                updated.delete(filePath);
+                const sha = writeCommit(branch, updated, body.message, body);
+                return [200, { content: null, commit: { sha, message: body.message } }];
+            }
+        }
+
+        if (rest === '/git/refs' && method === 'POST') {
+            const name = body.ref.replace(/^refs\/heads\//, '');
+            if (refs.has(name)) return [422, { message: 'Reference already exists' }];
+            refs.set(name, body.sha);
+            return [201, { ref: body.ref, object: { sha: body.sha, type: 'commit' } }];
+        }
+
+        if ((match = rest.match(/^\/git\/refs?\/heads\/(.+)$/))) {
+            const name = decodeURIComponent(match[1]);
+            if (!refs.has(name)) return [404, { message: 'Not Found' }];
+
+            if (method === 'GET') return [200, { ref: `refs/heads/${name}`, object: { sha: refs.get(name), type: 'commit' } }];
+            if (method === 'DELETE') {
+                refs.delete(name);
+                return [204, ''];
+            }
+            if (method === 'PATCH') {
+                // Without force, the new commit must descend from the branch head
+                let ancestor = body.sha;
+                while (!body.force && ancestor && ancestor !== refs.get(name)) ancestor = commits.get(ancestor).parents[0];
+                if (!body.force && !ancestor) return [422, { message: 'Update is not a fast forward' }];
+
+                refs.set(name, body.sha);
+                return [200, { ref: `refs/heads/${name}`, object: { sha: body.sha, type: 'commit' } }];
+            }
+        }
+
+        if (rest === '/git/blobs' && method === 'POST') {
+            return [201, { sha: addBlob(Buffer.from(body.content, body.encoding === 'base64' ? 'base64' : 'utf8')) }];
+        }
+
+        if ((match = rest.match(/^\/git\/blobs\/(\w+)$/))) {
+            const content = blobs.get(match[1]);
+            if (!content) return [404, { message: 'Not Found' }];
+            if (/raw/.test(headerOf(config, 'Accept') || '')) return [200, content];
+            return [200, { sha: match[1], size: content.length, content: content.toString('base64'), encoding: 'base64' }];
+        }
+
+        if (rest === '/git/trees' && method === 'POST') {
+            const files = new Map(body.base_tree ? trees.get(body.base_tree) : []);
+            for (const item of body.tree) {
+                if (item.sha === null) {
+                    if (!files.has(item.path)) return [422, { message: `Path not found in the base tree: ${item.path}` }];
+                    files.delete(item.path);
+                } else if ((item.type === 'commit') !== (item.mode === SUBMODULE_MODE)) {
+                    return [422, { message: `Invalid tree item type for mode ${item.mode}: ${item.type}` }];
+                } else if (item.type === 'blob' && !blobs.has(item.sha)) {
+                    return [422, { message: `Invalid blob SHA: ${item.sha}` }];
+                } else {
+                    files.set(item.path, { mode: item.mode, sha: item.sha });
+                }
+            }
+            return [201, { sha: addTree(files) }];
+        }
+
+        if ((match = rest.match(/^\/git\/trees\/([^/]+)$/))) {
+            const key = decodeURIComponent(match[1]);
+            const files = filesAt(key);
+            if (!files) return [404, { message: 'Not Found' }];
+
+            const items = new Map();
+            for (const [filePath, entry] of files) {
+                const parts = filePath.split('/');
+                const depth = params.recursive ? parts.length : 1;
+                for (let level = 1; level < Math.min(parts.length, depth + 1); level++) {
+                    const dirPath = parts.slice(0, level).join('/');
+                    if (!items.has(dirPath)) items.set(dirPath, { path: dirPath, mode: '040000', type: 'tree', sha: subtree(files, dirPath) });
+                }
+                if (parts.length <= depth) {
+                    items.set(filePath, entry.mode === SUBMODULE_MODE
+                        ? { path: filePath, mode: entry.mode, type: 'commit', sha: entry.sha }
+                        : { path: filePath, mode: entry.mode, type: 'blob', sha: entry.sha, size: blobs.get(entry.sha).length });
+                }
+            }
+
+            const tree = [...items.values()].sort((a, b) => (a.path < b.path ? -1 : 1));
+            return [200, { sha: trees.has(key) ? key : commits.get(commitOf(key)).tree, tree, truncated: Boolean(params.recursive && truncate) }];
+        }
+
+        if (rest === '/git/commits' && method === 'POST') {
+            const sha = addCommit(body.tree, body.parents, body.message, body);
+            return [201, { sha, tree: { sha: body.tree }, message: body.message }];
+        }
+
+        if ((match = rest.match(/^\/git\/commits\/(\w+)$/))) {
+            const commit = commits.get(match[1]);
+            if (!commit) return [404, { message: 'Not Found' }];
+            return [200, { sha: match[1], tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })), message: commit.message }];
+        }
+
+        if (rest === '/commits' && method === 'GET') {
+            // Walks the first parents, keeping the commits that changed `path`
+            const history = [];
+            for (let sha = commitOf(params.sha || defaultBranch); sha; sha = commits.get(sha).parents[0]) {
+                const commit = commits.get(sha);
+                const parent = commit.parents[0];
+                const before = parent ? trees.get(commits.get(parent).tree).get(params.path) : undefined;
+                const after = trees.get(commit.tree).get(params.path);
+                if (params.path && (before && before.sha) === (after && after.sha)) continue;
+
+                history.push({
+                    sha,
+                    commit: { message: commit.message, author: commit.author, committer: commit.committer },
+                    author: { login: 'stand-in' },
+                    html_url: `https://github.com/${repo}/commit/${sha}`
+                });
+            }
+
+            const perPage = Number(params.per_page) || 30;
+            const page = Number(params.page) || 1;
+            return [200, history.slice((page - 1) * perPage, page * perPage)];
+        }
+
+        if ((match = rest.match(/^\/commits\/([^/]+)$/)) && method === 'GET') {
+            const sha = commitOf(decodeURIComponent(match[1]));
+            return sha ? [200, { sha, commit: { tree: { sha: commits.get(sha).tree } } }] : [404, { message: 'No commit found' }];
+        }
+
+        if (rest === '/branches' && method === 'GET') {
+            const perPage = Number(params.per_page) || 30;
+            const page = Number(params.page) || 1;
+            const branches = [...refs].map(([name, sha]) => ({ name, commit: { sha }, protected: false }));
+            return [200, branches.slice((page - 1) * perPage, page * perPage)];
+        }
+
+        return [404, { message: `Not Found: ${method} ${rest}` }];
+    };
+
+    /**
+     * Answers an axios request like GitHub would, after letting other pending requests run first.
+     * @param {Object} config - The axios request config.
+     * @returns {Promise<Object>} The axios response; rejects with an AxiosError for statuses `validateStatus` refuses.
+     */
+    const adapter = async config => {
+        await new Promise(resolve => setImmediate(resolve)); // Interleave concurrent requests, as over a network
+
+        const method = config.method.toUpperCase();
+        const url = new URL(config.url);
+        const body = typeof config.data === 'string' && config.data ? JSON.parse(config.data) : config.data || {};
+        requests.push({ method, url: config.url, params: config.params || {}, headers: { ...(config.headers && config.headers.toJSON ? config.headers.toJSON() : config.headers) } });
+
+        const failure = failures.find(item => item.match(config));
+        if (failure && --failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+
+        let [status, data, headers = {}] = failure
+            ? [failure.status, { message: failure.message }, failure.headers]
+            : route(method, url, config, body);
+        headers = {
+            'x-github-request-id': `REQ-${requests.length}`,
+            'x-ratelimit-limit': '5000',
+            'x-ratelimit-remaining': '4999',
+            'x-ratelimit-used': '1',
+            'x-ratelimit-reset': '1893456000',
+            'x-ratelimit-resource': 'core',
+            ...headers
+        };
+
+        // JSON answers carry an ETag, and a matching If-None-Match gets an empty 304
+        if (method === 'GET' && status === 200 && !Buffer.isBuffer(data)) {
+            headers.etag = `W/"${sha1(JSON.stringify(data))}"`;
+            if (headerOf(config, 'If-None-Match') === headers.etag) {
+                status = 304;
+                data = '';
+            }
+        }
+
+        if (Buffer.isBuffer(data)) {
+            if (config.responseType === 'stream') data = Readable.from([data]);
+            else if (config.responseType !== 'arraybuffer') data = data.toString('utf8');
+        }
+
+        const response = { status, statusText: String(status), headers, config, data, request: {} };
+        const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+        if (validateStatus(status)) return response;
+
+        throw new AxiosError(`Request failed with status code ${status}`, status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST', config, {}, response);
+    };
+
+    return {
+        adapter,
+        requests,
+
+        /**
+         * Commits a file directly, as if another client changed the repository.
+         * @param {string} filePath - The path of the file.
+         * @param {string|Buffer} content - The content.
+         * @param {Object} [settings={}] - The `branch` (default branch by default) and file `mode` ('100644' by default).
+         * @returns {string} The new commit SHA.
+         */
+        put(filePath, content, { branch = defaultBranch, mode = '100644' } = {}) {
+            const files = new Map(filesAt(branch)).set(filePath, { mode, sha: addBlob(Buffer.from(content)) });
+            return writeCommit(branch, files, `Put ${filePath}`);
+        },
+
+        /**
+         * Commits a submodule directly, as if another client added it.
+         * @param {string} filePath - The path of the submodule.
+         * @param {string} commitSha - The commit of the other repository it points to.
+         * @param {Object} [settings={}] - The `branch` (default branch by default).
+         * @returns {string} The new commit SHA.
+         */
+        submodule(filePath, commitSha, { branch = defaultBranch } = {}) {
+            const files = new Map(filesAt(branch)).set(filePath, { mode: SUBMODULE_MODE, sha: commitSha });
+            return writeCommit(branch, files, `Add submodule ${filePath}`);
+        },
+
+        /**
+         * Reads a file as stored in the repository.
+         * @param {string} filePath - The path of the file.
+         * @param {string} [ref] - The branch or commit SHA (the default branch by default).
+         * @returns {Buffer|null} The stored content, or null if the file does not exist.
+         */
+        read(filePath, ref = defaultBranch) {
+            const entry = filesAt(ref).get(filePath);
+            return entry ? blobs.get(entry.sha) : null;
+        },
+
+        /**
+         * Lists the files of a branch or commit with their modes and blob SHAs.
+         * @param {string} [ref] - The branch or commit SHA (the default branch by default).
+         * @returns {Object} The `{ mode, sha }` of each file by path.
+         */
+        files(ref = defaultBranch) {
+            return Object.fromEntries(filesAt(ref));
+        },
+
+        /**
+         * Gets a commit.
+         * @param {string} [ref] - The branch or commit SHA (the head of the default branch by default).
+         * @returns {Object} The `sha`, `tree`, `parents`, `message`, `author` and `committer`.
+         */
+        commit(ref = defaultBranch) {
+            const sha = commitOf(ref);
+            return { sha, ...commits.get(sha) };
+        },
+
+        /**
+         * Gets the commit a branch points to.
+         * @param {string} [branch] - The branch (the default branch by default).
+         * @returns {string} The commit SHA.
+         */
+        head(branch = defaultBranch) {
+            return refs.get(branch);
+        },
+
+        /**
+         * Lists the branches.
+         * @returns {Array<string>} The branch names.
+         */
+        branches() {
+            return [...refs.keys()];
+        },
+
+        /**
+         * Answers the next matching requests with an error instead of handling them.
+         * @param {number} status - The HTTP status to answer with.
+         * @param {Object} [settings={}] - The response `headers` and `message`, how many `times` to fail (1 by default),
+         *   and a `match` function of the axios config choosing the requests (all by default).
+         */
+        fail(status, { headers = {}, message = 'Stand-in failure', times = 1, match = () => true } = {}) {
+            failures.push({ status, headers, message, times, match });
+        }
+    };
+}
+
+module.exports = { createGitHubStandIn };
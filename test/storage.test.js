@@ -0,0 +1,684 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const nodeTest = require('node:test');
+const GitHubFileStorage = require('..');
+const { getRetryDelay } = require('../lib/retry');
+const { createGitHubStandIn } = require('./github-stand-in');
+
+const { describe, it, after } = nodeTest;
+const { LocalFileStorage, runContractTests, createRouter, AuthError, ConflictError, DecryptionError, NotFoundError, RateLimitError, ValidationError } = GitHubFileStorage;
+
+const text = value => Buffer.from(value).toString('base64');
+const decode = content => Buffer.from(content, 'base64').toString();
+
+/**
+ * Creates a GitHubFileStorage backed by a fresh stand-in repository.
+ * @param {Object} [options={}] - Constructor options, merged over the test defaults.
+ * @returns {Object} The `storage` and the `github` stand-in.
+ */
+function createGitHub(options = {}) {
+    const github = createGitHubStandIn();
+    const storage = new GitHubFileStorage('owner/repo', 'test-token', {
+        adapter: github.adapter,
+        retry: { retries: 0 },
+        ...options
+    });
+    return { storage, github };
+}
+
+/**
+ * Creates a temporary folder holding the given files.
+ * @param {Object} [files={}] - File contents by relative path.
+ * @returns {Promise<string>} The folder path.
+ */
+async function createTempDir(files = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ghfm-test-'));
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(directory, ...relativePath.split('/'));
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, content);
+    }
+    return directory;
+}
+
+const tempDirs = [];
+const tempDir = async files => {
+    const directory = await createTempDir(files);
+    tempDirs.push(directory);
+    return directory;
+};
+after(() => Promise.all(tempDirs.map(directory => fs.promises.rm(directory, { recursive: true, force: true }))));
+
+runContractTests('LocalFileStorage (memory)', () => new LocalFileStorage(), nodeTest);
+runContractTests('LocalFileStorage (disk)', async () => new LocalFileStorage({ root: await tempDir() }), nodeTest);
+
+// One repository for every contract test, as against a real scratch branch
+const contractGitHub = createGitHubStandIn();
+runContractTests('GitHubFileStorage', () => new GitHubFileStorage('owner/repo', 'test-token', {
+    adapter: contractGitHub.adapter,
+    retry: { retries: 0 }
+}), nodeTest);
+
+describe('requests', () => {
+    it('sends custom headers to GitHub hosts, including GitHub App token requests, but not to LFS storage', async () => {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const github = createGitHubStandIn();
+        const storage = new GitHubFileStorage('owner/repo', { appId: 1, privateKey: privateKey.export({ type: 'pkcs1', format: 'pem' }) }, {
+            adapter: github.adapter,
+            headers: { 'X-Proxy-Auth': 'secret' },
+            lfs: true,
+            lfsThreshold: 10
+        });
+
+        await storage.upload(text('content stored in LFS'), 'media', 'clip.bin');
+        assert.strictEqual(decode((await storage.download('media', 'clip.bin')).data), 'content stored in LFS');
+
+        const sent = github.requests.map(request => ({ url: request.url, custom: request.headers['X-Proxy-Auth'] === 'secret' }));
+        const toStorage = sent.filter(request => request.url.startsWith('https://lfs-storage.stand-in.test/'));
+        assert.ok(sent.some(request => request.url.endsWith('/installation') && request.custom));
+        assert.ok(sent.some(request => request.url.endsWith('/access_tokens') && request.custom));
+        assert.ok(sent.some(request => request.url.endsWith('/info/lfs/objects/batch') && request.custom));
+        assert.strictEqual(toStorage.length, 2);
+        assert.ok(toStorage.every(request => !request.custom));
+    });
+});
+
+describe('authentication', () => {
+    const privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs1', format: 'pem' });
+    const authorizationOf = request => request.headers.Authorization;
+    const contentsRequests = github => github.requests.filter(request => request.url.includes('/contents/'));
+    const tokenRequests = github => github.requests.filter(request => request.url.endsWith('/access_tokens'));
+
+    it('asks the token provider for a fresh token once after a 401', async () => {
+        const calls = [];
+        const { storage, github } = createGitHub();
+        const provider = async ({ refresh }) => {
+            calls.push(refresh);
+            return refresh ? 'fresh-token' : 'stale-token';
+        };
+        const refreshing = new GitHubFileStorage('owner/repo', provider, { adapter: github.adapter, retry: { retries: 0 } });
+        await storage.upload(text('a'), 'docs', 'a.txt');
+        github.fail(401, { match: config => config.url.includes('/contents/'), message: 'Bad credentials' });
+
+        assert.strictEqual(decode((await refreshing.download('docs', 'a.txt')).data), 'a');
+        assert.deepStrictEqual(calls, [false, true]);
+        assert.deepStrictEqual(contentsRequests(github).slice(-2).map(authorizationOf), ['Bearer stale-token', 'Bearer fresh-token']);
+
+        github.fail(401, { match: config => config.url.includes('/contents/'), times: 2, message: 'Bad credentials' });
+        await assert.rejects(refreshing.download('docs', 'a.txt'), AuthError);
+    });
+
+    it('reuses a GitHub App installation token until shortly before it expires', async () => {
+        const github = createGitHubStandIn();
+        const storage = new GitHubFileStorage('owner/repo', { appId: 1, privateKey }, { adapter: github.adapter, retry: { retries: 0 } });
+        github.put('docs/a.txt', 'a');
+
+        await storage.download('docs', 'a.txt');
+        await storage.download('docs', 'a.txt');
+        assert.strictEqual(tokenRequests(github).length, 1);
+        assert.ok(contentsRequests(github).every(request => authorizationOf(request) === 'Bearer installation-token-42-1'));
+    });
+
+    it('renews a GitHub App installation token that is about to expire or was rejected', async () => {
+        const github = createGitHubStandIn({ tokenLifetime: 60 }); // Inside the five-minute renewal margin
+        const storage = new GitHubFileStorage('owner/repo', { appId: 1, privateKey, installationId: 42 }, { adapter: github.adapter, retry: { retries: 0 } });
+        github.put('docs/a.txt', 'a');
+
+        await storage.download('docs', 'a.txt');
+        await storage.download('docs', 'a.txt');
+        assert.strictEqual(tokenRequests(github).length, 2);
+        assert.deepStrictEqual(contentsRequests(github).map(authorizationOf), ['Bearer installation-token-42-1', 'Bearer installation-token-42-2']);
+
+        github.fail(401, { match: config => config.url.includes('/contents/'), message: 'Bad credentials' });
+        await storage.download('docs', 'a.txt');
+        assert.strictEqual(tokenRequests(github).length, 4);
+        assert.ok(!github.requests.some(request => request.url.endsWith('/installation')));
+    });
+});
+
+describe('retries', () => {
+    const fast = { retries: 2, minDelay: 1, maxDelay: 1000 };
+
+    it('retries server errors with backoff and reports each retry', async () => {
+        const { storage, github } = createGitHub({ retry: fast });
+        github.put('docs/a.txt', 'a');
+        github.fail(503, { times: 2 });
+        const retries = [];
+        storage.on('retry', event => retries.push(event));
+
+        assert.strictEqual(decode((await storage.download('docs', 'a.txt')).data), 'a');
+        assert.deepStrictEqual(retries.map(event => [event.attempt, event.status]), [[1, 503], [2, 503]]);
+        assert.ok(retries.every(event => event.delay <= 2));
+    });
+
+    it('gives up once the retries are used up', async () => {
+        const { storage, github } = createGitHub({ retry: fast });
+        github.put('docs/a.txt', 'a');
+        github.fail(502, { times: 3 });
+
+        await assert.rejects(storage.download('docs', 'a.txt'), error => error.status === 502);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        const { storage, github } = createGitHub({ retry: fast });
+        github.put('docs/a.txt', 'a');
+        github.fail(429, { headers: { 'retry-after': '0' }, message: 'You have exceeded a secondary rate limit' });
+        const retries = [];
+        storage.on('retry', event => retries.push(event));
+
+        await storage.download('docs', 'a.txt');
+        assert.deepStrictEqual(retries.map(event => [event.status, event.delay]), [[429, 0]]);
+    });
+
+    it('waits for X-RateLimit-Reset, or fails with the reset date when it is too far away', async () => {
+        const soon = { response: { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Date.now() / 1000 + 5) } } };
+        const delay = getRetryDelay(soon, 0, { ...fast, maxDelay: 60000 });
+        assert.ok(delay > 5000 && delay <= 6000);
+
+        const { storage, github } = createGitHub({ retry: fast });
+        github.put('docs/a.txt', 'a');
+        const reset = Math.ceil(Date.now() / 1000) + 3600;
+        github.fail(403, { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }, message: 'API rate limit exceeded' });
+
+        await assert.rejects(storage.download('docs', 'a.txt'), error => error instanceof RateLimitError && error.reset.getTime() === reset * 1000);
+    });
+});
+
+describe('listing', () => {
+    it('lists a tree of any size in a constant number of requests', async () => {
+        const { storage, github } = createGitHub();
+        for (let index = 0; index < 20; index++) github.put(`docs/folder-${index}/file.txt`, `${index}`);
+
+        const sent = github.requests.length;
+        const { files } = await storage.listAllFiles('docs');
+        assert.strictEqual(files.length, 20);
+        assert.ok(files.every(file => file.url === null));
+        assert.ok(github.requests.length - sent <= 4);
+    });
+
+    it('walks the folders one at a time when GitHub truncates the tree', async () => {
+        const github = createGitHubStandIn({ truncate: true });
+        const storage = new GitHubFileStorage('owner/repo', 'test-token', { adapter: github.adapter, retry: { retries: 0 } });
+        github.put('docs/readme.md', 'read me');
+        github.put('docs/guide/intro.md', 'intro');
+        github.put('docs/guide/deep/notes.md', 'notes');
+
+        const { files } = await storage.listAllFiles('docs');
+        assert.deepStrictEqual(files.map(file => file.path).sort(), ['docs/guide/deep/notes.md', 'docs/guide/intro.md', 'docs/readme.md']);
+
+        const shallow = await storage.listAllFiles('docs', { maxDepth: 2, includeDirs: true });
+        assert.deepStrictEqual(shallow.files.map(file => file.path).sort(), ['docs/guide', 'docs/guide/deep', 'docs/guide/intro.md', 'docs/readme.md']);
+    });
+
+    it('returns the Contents API download URL of each file on request, which works without the token', async () => {
+        const { storage, github } = createGitHub();
+        github.put('docs/readme.md', 'read me');
+        github.put('docs/guide/intro.md', 'intro');
+
+        const { files } = await storage.listAllFiles('docs', { downloadUrls: true });
+        assert.deepStrictEqual(files.map(file => file.path).sort(), ['docs/guide/intro.md', 'docs/readme.md']);
+        for (const file of files) {
+            const response = await github.adapter({ method: 'get', url: file.url, headers: {} });
+            assert.strictEqual(response.status, 200);
+        }
+
+        const directory = await storage.listFilesInDirectory('docs', { downloadUrls: true });
+        assert.ok(directory.every(file => file.url.includes('?token=stand-in')));
+    });
+});
+
+describe('move and copy', () => {
+    it('keeps the file mode of single files and folders', async () => {
+        const { storage, github } = createGitHub();
+        github.put('bin/run.sh', '#!/bin/sh\n', { mode: '100755' });
+        github.put('bin/tools/lint.sh', '#!/bin/sh\n', { mode: '100755' });
+
+        await storage.copy('bin/run.sh', 'run.sh');
+        await storage.move('bin/tools/lint.sh', 'scripts/lint.sh');
+        await storage.copy('bin', 'backup');
+
+        const files = github.files();
+        assert.strictEqual(files['run.sh'].mode, '100755');
+        assert.strictEqual(files['scripts/lint.sh'].mode, '100755');
+        assert.strictEqual(files['backup/run.sh'].mode, '100755');
+        assert.strictEqual(files['bin/tools/lint.sh'], undefined);
+    });
+
+    it('reads the mode of a single file without fetching the tree recursively', async () => {
+        const { storage, github } = createGitHub();
+        github.put('run.sh', '#!/bin/sh\n', { mode: '100755' });
+        github.put('docs/deep/notes.md', 'notes');
+
+        const sent = github.requests.length;
+        await storage.move('run.sh', 'bin/run.sh');
+        const trees = github.requests.slice(sent).filter(request => request.method === 'GET' && /\/git\/trees\//.test(request.url));
+        assert.strictEqual(trees.length, 1);
+        assert.strictEqual(trees[0].params.recursive, undefined);
+        assert.strictEqual(github.files()['bin/run.sh'].mode, '100755');
+    });
+
+    it('copies submodules as submodules', async () => {
+        const { storage, github } = createGitHub();
+        const commitSha = 'a'.repeat(40);
+        github.put('vendor/readme.md', 'vendored');
+        github.submodule('vendor/lib', commitSha);
+
+        await storage.copy('vendor', 'third-party');
+        await storage.move('vendor/lib', 'lib');
+
+        const files = github.files();
+        assert.deepStrictEqual(files['third-party/lib'], { mode: '160000', sha: commitSha });
+        assert.deepStrictEqual(files.lib, { mode: '160000', sha: commitSha });
+        assert.strictEqual(files['vendor/lib'], undefined);
+    });
+});
+
+describe('history', () => {
+    it('lists the commits that changed a file, newest first, across pages', async () => {
+        const { storage, github } = createGitHub();
+        const shas = [];
+        for (let index = 1; index <= 105; index++) shas.push(github.put('notes.txt', `version ${index}`));
+        github.put('other.txt', 'unrelated');
+
+        const { commits } = await storage.getHistory('notes.txt', { limit: 103 });
+        assert.strictEqual(commits.length, 103);
+        assert.strictEqual(commits[0].sha, shas[104]);
+        assert.strictEqual(commits[102].sha, shas[2]);
+        assert.deepStrictEqual(commits[0], {
+            sha: shas[104],
+            message: 'Put notes.txt',
+            author: { ...github.commit(shas[104]).author, login: 'stand-in' },
+            committer: { ...github.commit(shas[104]).committer, login: null },
+            date: github.commit(shas[104]).author.date,
+            url: `https://github.com/owner/repo/commit/${shas[104]}`
+        });
+
+        const first = await storage.getContentAt('notes.txt', shas[0]);
+        assert.strictEqual(decode(first.content), 'version 1');
+    });
+
+    it('diffs two versions of a text file', async () => {
+        const { storage, github } = createGitHub();
+        const before = github.put('docs/list.txt', 'one\ntwo\nthree\n');
+        github.put('docs/list.txt', 'one\n2\nthree\nfour\n');
+
+        const result = await storage.diff('docs/list.txt', before);
+        assert.strictEqual(result.additions, 2);
+        assert.strictEqual(result.deletions, 1);
+        assert.ok(result.diff.includes('--- a/docs/list.txt'));
+        assert.ok(result.diff.includes('-two\n+2\n three\n+four'));
+
+        const added = await storage.diff('docs/list.txt', github.commit(before).parents[0], before);
+        assert.ok(added.diff.includes('--- /dev/null'));
+        assert.strictEqual(added.additions, 3);
+
+        github.put('docs/image.bin', Buffer.from([0, 1, 2]));
+        await assert.rejects(storage.diff('docs/image.bin', before), ValidationError);
+        await assert.rejects(storage.diff('docs/missing.txt', before), NotFoundError);
+    });
+
+    it('restores a file onto the branch given as ref', async () => {
+        const { storage, github } = createGitHub();
+        const first = github.put('notes.txt', 'first');
+        github.put('notes.txt', 'second');
+        await storage.createBranch('release', 'main');
+
+        await storage.restore('notes.txt', first, { ref: 'release' });
+        assert.strictEqual(github.read('notes.txt', 'release').toString(), 'first');
+        assert.strictEqual(github.read('notes.txt').toString(), 'second');
+    });
+});
+
+describe('bulk operations', () => {
+    it('deletes files at the repository root', async () => {
+        const { storage, github } = createGitHub();
+        github.put('a.txt', 'a');
+        github.put('docs/b.txt', 'b');
+
+        const result = await storage.deleteMany(['a.txt', 'docs/b.txt']);
+        assert.deepStrictEqual(result.failed, []);
+        assert.deepStrictEqual(github.files(), {});
+    });
+
+    it('reports progress and failures without stopping the other files', async () => {
+        const { storage } = createGitHub();
+        const events = [];
+        storage.on('progress', event => events.push(event));
+
+        const files = ['a', 'b', 'c', 'd'].map(name => ({ path: `bulk/${name}.txt`, file: text(name) }));
+        const result = await storage.uploadMany([...files, { path: 'bulk/e.txt', file: text('e'), expectedSha: 'stale' }], { concurrency: 3 });
+
+        assert.strictEqual(result.message, '1 of 5 files could not be uploaded!');
+        assert.strictEqual(result.uploaded.length, 4);
+        assert.ok(result.failed[0].error instanceof ConflictError);
+        assert.strictEqual(events.length, 5);
+        assert.deepStrictEqual(events[4], { ...events[4], operation: 'upload', done: 5, failed: 1, total: 5 });
+
+        const deleted = await storage.deleteMany(files.map(file => file.path), { concurrency: 2 });
+        assert.deepStrictEqual(deleted.deleted.map(file => file.path).sort(), files.map(file => file.path));
+    });
+
+    it('stops starting new files once cancelled', async () => {
+        const storage = new LocalFileStorage();
+        const controller = new AbortController();
+        const files = Array.from({ length: 6 }, (_, index) => ({ path: `bulk/${index}.txt`, file: text(String(index)) }));
+
+        const result = await storage.uploadMany(files, {
+            concurrency: 1,
+            signal: controller.signal,
+            onProgress: ({ done }) => done === 2 && controller.abort()
+        });
+
+        assert.strictEqual(result.cancelled, true);
+        assert.strictEqual(result.uploaded.length, 2);
+        assert.strictEqual(result.skipped.length, 4);
+    });
+
+    it('retries large uploads whose commit lost the race for the branch', async () => {
+        const { storage, github } = createGitHub({ largeFileThreshold: 10 });
+        const files = ['a', 'b', 'c', 'd'].map(name => ({ path: `large/${name}.bin`, file: text(`${name} over the large file threshold`) }));
+
+        const result = await storage.uploadMany(files, { concurrency: 4 });
+        assert.strictEqual(result.uploaded.length, 4);
+        assert.deepStrictEqual(result.failed, []);
+        assert.deepStrictEqual(Object.keys(github.files()).sort(), files.map(file => file.path));
+    });
+
+    it('downloads a folder into an archive in parallel', async () => {
+        const { storage } = createGitHub();
+        for (const name of ['a', 'b', 'c']) await storage.upload(text(name), 'archive', `${name}.txt`);
+
+        const progress = [];
+        const archivePath = await storage.downloadAll('archive', await tempDir(), { concurrency: 3, onProgress: event => progress.push(event.path) });
+
+        const archive = await fs.promises.readFile(archivePath);
+        assert.ok(['a.txt', 'b.txt', 'c.txt'].every(name => archive.includes(name)));
+        assert.deepStrictEqual(progress.sort(), ['archive/a.txt', 'archive/b.txt', 'archive/c.txt']);
+    });
+});
+
+describe('archives', () => {
+    /**
+     * Reads the regular files of a tar archive.
+     * @param {Buffer} archive - The tar archive.
+     * @returns {Object} The content of each file by name.
+     */
+    function readTar(archive) {
+        const files = {};
+        for (let offset = 0; offset + 512 <= archive.length;) {
+            const header = archive.subarray(offset, offset + 512);
+            if (header.every(byte => byte === 0)) break;
+
+            const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+            const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+            const size = parseInt(field(124, 12).trim(), 8);
+            if (field(156, 1) === '0' || field(156, 1) === '') files[name] = archive.subarray(offset + 512, offset + 512 + size).toString();
+            offset += 512 + Math.ceil(size / 512) * 512;
+        }
+        return files;
+    }
+
+    for (const format of ['tar', 'tar.gz']) {
+        it(`writes a ${format} archive of a folder`, async () => {
+            const { storage } = createGitHub();
+            await storage.upload(text('alpha'), 'site', 'a.txt');
+            await storage.upload(text('beta'), 'site/sub', 'b.txt');
+            await storage.upload(text('skip'), 'site', 'c.log');
+
+            const archivePath = await storage.downloadAll('site', await tempDir(), { format, exclude: '*.log' });
+            assert.ok(archivePath.endsWith(`.${format}`));
+
+            const archive = await fs.promises.readFile(archivePath);
+            const files = readTar(format === 'tar.gz' ? zlib.gunzipSync(archive) : archive);
+            assert.deepStrictEqual(files, { 'a.txt': 'alpha', 'sub/b.txt': 'beta' });
+        });
+    }
+
+    it('rejects an unknown format', async () => {
+        const { storage } = createGitHub();
+        await storage.upload(text('alpha'), 'site', 'a.txt');
+        await assert.rejects(storage.downloadAll('site', await tempDir(), { format: 'rar' }), ValidationError);
+    });
+});
+
+describe('caching', () => {
+    it('revalidates with ETags and drops entries after a write', async () => {
+        const { storage, github } = createGitHub({ cache: true });
+        await storage.upload(text('v1'), 'docs', 'a.txt');
+
+        assert.strictEqual(decode((await storage.download('docs', 'a.txt')).data), 'v1');
+        assert.strictEqual(decode((await storage.download('docs', 'a.txt')).data), 'v1');
+        assert.strictEqual(storage.getCacheStats().hits, 1);
+        assert.ok(github.requests.some(request => request.headers['If-None-Match']));
+
+        await storage.upload(text('v2'), 'docs', 'a.txt');
+        assert.strictEqual(decode((await storage.download('docs', 'a.txt')).data), 'v2');
+
+        await storage.clearCache();
+        assert.deepStrictEqual(storage.getCacheStats(), { hits: 0, misses: 0, hitRate: 0 });
+    });
+
+    it('skips large file bodies and keeps blobs across writes', async () => {
+        const small = createGitHub({ cache: { maxContentSize: 1024 } });
+        small.github.put('docs/page.txt', 'x'.repeat(1024)); // Over maxContentSize once in base64
+        await small.storage.download('docs', 'page.txt');
+        assert.ok(small.storage.cache.keys().every(key => !key.includes('page.txt')));
+
+        const { storage, github } = createGitHub({ cache: { maxContentSize: 2 * 1024 * 1024 } });
+        github.put('media/large.bin', Buffer.alloc(1200 * 1024, 1)); // Over 1 MB, so read through the Git blobs API
+        const blobKeys = () => storage.cache.keys().filter(key => key.includes('/git/blobs/'));
+
+        await storage.download('media', 'large.bin');
+        assert.strictEqual(blobKeys().length, 1);
+
+        await storage.upload(text('v1'), 'media', 'other.txt');
+        assert.strictEqual(blobKeys().length, 1);
+        await storage.download('media', 'large.bin');
+        assert.strictEqual(storage.getCacheStats().hits, 2); // The file's Contents API answer and its blob
+    });
+
+    it('drops the root tree, looked up by branch name, after a write and keeps trees looked up by SHA', async () => {
+        const { storage } = createGitHub({ cache: true });
+        await storage.upload(text('a'), 'docs', 'a.txt');
+        const treeKeys = () => storage.cache.keys().filter(key => key.includes('/git/trees/')).map(key => key.slice(0, key.indexOf('?')));
+
+        await storage.listAllFiles('');
+        await storage.listAllFiles('docs');
+        assert.strictEqual(treeKeys().length, 2);
+
+        await storage.upload(text('b'), 'media', 'b.txt');
+        assert.deepStrictEqual(treeKeys().map(key => /\/git\/trees\/[0-9a-f]{40}$/.test(key)), [true]);
+        assert.deepStrictEqual((await storage.listAllFiles('')).files.map(file => file.path), ['docs/a.txt', 'media/b.txt']);
+    });
+});
+
+describe('encryption', () => {
+    const key = crypto.randomBytes(32);
+
+    it('stores ciphertext and reads plaintext', async () => {
+        const { storage, github } = createGitHub({ encryption: { key } });
+        await storage.upload(text('top secret'), 'vault', 'note.txt');
+
+        const stored = github.read('vault/note.txt');
+        assert.strictEqual(stored.subarray(0, 7).toString(), 'GHFMENC');
+        assert.ok(!stored.includes('top secret'));
+        assert.strictEqual(decode((await storage.download('vault', 'note.txt')).data), 'top secret');
+        assert.strictEqual(decode((await storage.getContentBase64('vault', 'note.txt')).content), 'top secret');
+    });
+
+    it('reads content encrypted with a rotated key and rejects a wrong key', async () => {
+        const newKey = crypto.randomBytes(32);
+        const { storage, github } = createGitHub({ encryption: { key, keyId: 'old' } });
+        await storage.upload(text('old content'), 'vault', 'old.txt');
+
+        const rotated = new GitHubFileStorage('owner/repo', 'test-token', {
+            adapter: github.adapter,
+            encryption: { keys: { old: key, new: newKey }, keyId: 'new' }
+        });
+        assert.strictEqual(decode((await rotated.download('vault', 'old.txt')).data), 'old content');
+
+        const wrong = new GitHubFileStorage('owner/repo', 'test-token', {
+            adapter: github.adapter,
+            encryption: { keys: { old: newKey } }
+        });
+        await assert.rejects(wrong.download('vault', 'old.txt'), DecryptionError);
+    });
+
+    it('hides filenames behind random names', async () => {
+        const { storage, github } = createGitHub({ encryption: { key, filenames: true } });
+        await storage.upload(text('hidden'), 'vault', 'salaries.csv');
+
+        const stored = Object.keys(github.files());
+        assert.ok(!stored.some(filePath => filePath.includes('salaries')));
+        assert.deepStrictEqual((await storage.listFiles('vault')).files.map(file => file.name), ['salaries.csv']);
+        assert.strictEqual(decode((await storage.download('vault', 'salaries.csv')).data), 'hidden');
+        await assert.rejects(storage.move('vault', 'elsewhere'), ValidationError);
+    });
+
+    it('encrypts plaintext that looks like ciphertext or an LFS pointer', async () => {
+        const { storage, github } = createGitHub({ encryption: { key }, lfs: true, lfsThreshold: 1024, largeFileThreshold: 10 });
+        await storage.upload(text('secret'), 'vault', 'note.txt');
+        const ciphertext = github.read('vault/note.txt');
+        const pointer = `version https://git-lfs.github.com/spec/v1\noid sha256:${'0'.repeat(64)}\nsize 12\n`;
+
+        await storage.upload(ciphertext.toString('base64'), 'vault', 'copy.bin');
+        await storage.upload(text(pointer), 'vault', 'pointer.txt');
+        assert.ok(Buffer.from((await storage.download('vault', 'copy.bin')).data, 'base64').equals(ciphertext));
+        assert.strictEqual(decode((await storage.download('vault', 'pointer.txt')).data), pointer);
+        assert.ok(!github.read('vault/pointer.txt').includes('git-lfs'));
+    });
+
+    it('keeps encrypted filenames out of restore commit messages', async () => {
+        const { storage, github } = createGitHub({ encryption: { key, filenames: true } });
+        const { data } = await storage.upload(text('v1'), 'hr', 'salaries.csv');
+        await storage.upload(text('v2'), 'hr', 'salaries.csv');
+
+        await storage.restore('hr/salaries.csv', data.commit.sha);
+        assert.ok(github.commit().message.startsWith('Restore '));
+        assert.ok(!github.commit().message.includes('salaries'));
+        assert.strictEqual(decode((await storage.download('hr', 'salaries.csv')).data), 'v1');
+    });
+
+    it('rejects syncing, which compares ciphertext SHAs', async () => {
+        const { storage } = createGitHub({ encryption: { key } });
+        const local = await tempDir({ 'a.txt': 'a' });
+
+        await assert.rejects(storage.syncUp(local, 'vault'), ValidationError);
+        await assert.rejects(storage.syncDown('vault', local), ValidationError);
+    });
+});
+
+describe('sync', () => {
+    it('uploads only changes and mirrors the repository back', async () => {
+        const { storage } = createGitHub();
+        const local = await tempDir({ 'a.txt': 'a', 'sub/b.txt': 'b', 'skip.log': 'x', '.gitignore': '*.log\n' });
+
+        const first = await storage.syncUp(local, 'site');
+        assert.deepStrictEqual(first.added.sort(), ['.gitignore', 'a.txt', 'sub/b.txt']);
+
+        const second = await storage.syncUp(local, 'site');
+        assert.strictEqual(second.message, 'Files already in sync!');
+
+        await fs.promises.writeFile(path.join(local, 'a.txt'), 'changed');
+        assert.deepStrictEqual((await storage.syncUp(local, 'site')).changed, ['a.txt']);
+
+        const copy = await tempDir();
+        const down = await storage.syncDown('site', copy);
+        assert.strictEqual(down.added.length, 3);
+        assert.strictEqual(await fs.promises.readFile(path.join(copy, 'a.txt'), 'utf8'), 'changed');
+        assert.strictEqual((await storage.syncDown('site', copy)).unchanged, 3);
+    });
+
+    it('refuses to sync up a missing local folder instead of deleting the repository files', async () => {
+        const { storage, github } = createGitHub();
+        github.put('backup/a.txt', 'a');
+        const local = await tempDir({ 'file.txt': 'x' });
+
+        await assert.rejects(storage.syncUp(path.join(local, 'typo'), 'backup', { delete: true }), NotFoundError);
+        await assert.rejects(storage.syncUp(path.join(local, 'file.txt'), 'backup', { delete: true }), ValidationError);
+        assert.ok(github.read('backup/a.txt'));
+    });
+});
+
+describe('HTTP router', () => {
+    /**
+     * Serves a router on a free local port.
+     * @param {Function} handler - The request handler.
+     * @returns {Promise<Object>} `send(method, urlPath, body)`, resolving to the `status` and `body`, and `close()`.
+     */
+    async function serve(handler) {
+        const server = http.createServer(handler);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        const send = (method, urlPath, body) => new Promise((resolve, reject) => {
+            const request = http.request({ host: '127.0.0.1', port: server.address().port, method, path: urlPath }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString() }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+        return { send, close: () => new Promise(resolve => server.close(resolve)) };
+    }
+
+    it('serves, writes, lists and deletes files within the allow-list', async () => {
+        const { storage } = createGitHub();
+        const { send, close } = await serve(createRouter(storage, {
+            allow: ['public'],
+            authorize: ({ action }) => action !== 'delete'
+        }));
+
+        try {
+            assert.strictEqual((await send('PUT', '/files/public/a.txt', 'hello')).status, 201);
+            assert.strictEqual((await send('PUT', '/files/private/a.txt', 'hello')).status, 403);
+            assert.deepStrictEqual(await send('GET', '/files/public/a.txt'), { status: 200, body: 'hello' });
+            assert.deepStrictEqual(JSON.parse((await send('GET', '/list/public')).body).files.map(file => file.name), ['a.txt']);
+            assert.strictEqual((await send('GET', '/files/public/missing.txt')).status, 404);
+            assert.strictEqual((await send('DELETE', '/files/public/a.txt')).status, 403);
+        } finally {
+            await close();
+        }
+    });
+
+    for (const [name, create] of [['GitHubFileStorage', () => createGitHub().storage], ['LocalFileStorage', () => new LocalFileStorage()]]) {
+        it(`deletes files at the repository root with ${name}`, async () => {
+            const { send, close } = await serve(createRouter(create()));
+
+            try {
+                assert.strictEqual((await send('PUT', '/files/root.txt', 'hello')).status, 201);
+                assert.strictEqual((await send('DELETE', '/files/root.txt')).status, 200);
+                assert.strictEqual((await send('GET', '/files/root.txt')).status, 404);
+            } finally {
+                await close();
+            }
+        });
+    }
+});
+
+describe('commit metadata', () => {
+    it('applies message templates, authors and trailers, and reports each commit', async () => {
+        const commits = [];
+        const { storage, github } = createGitHub({
+            commitMessage: ({ message }) => `[bot] ${message}`,
+            author: 'Upload Bot <bot@example.com>',
+            coAuthors: [{ name: 'Jane Doe', email: 'jane@example.com' }],
+            signOff: true,
+            onCommit: commit => commits.push(commit)
+        });
+
+        const { data } = await storage.upload(text('a'), 'docs', 'a.txt');
+        assert.strictEqual(github.commit().message, '[bot] Upload a.txt\n\nCo-authored-by: Jane Doe <jane@example.com>\nSigned-off-by: Upload Bot <bot@example.com>');
+        assert.strictEqual(github.commit().author.email, 'bot@example.com');
+        assert.deepStrictEqual(commits[0], { sha: data.commit.sha, operation: 'upload', branch: null, message: github.commit().message, paths: ['docs/a.txt'] });
+
+        await storage.move('docs', 'archive', { message: 'Archive docs', coAuthors: [], signOff: false });
+        assert.strictEqual(github.commit().message, 'Archive docs');
+        assert.strictEqual(commits[1].operation, 'move');
+    });
+});